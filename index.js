@@ -5,11 +5,36 @@
  * and sends them as user messages to drive the narrative forward.
  */
 
-import { generateViaProxy, generateDirect, testConnection, fetchModels } from './utils/api.js';
+import {
+    generateViaProxy, generateDirect, generateDirectChoices, supportsChoiceCount,
+    testConnection, fetchModels, isRetryableError, ApiError,
+} from './utils/api.js';
 import {
     initPresets, getCurrentPreset, savePreset, deletePreset,
     exportPreset, importPreset, getPresetNames, getDefaultPromptManagerConfig,
 } from './utils/preset-manager.js';
+import {
+    createBeat, getCurrentBeat, getBeatProgressLabel, formatBeatOutline,
+    buildBeatCheckMessages, parseBeatVerdict, isOutlineComplete,
+} from './utils/outline.js';
+import { countTokens } from './utils/tokens.js';
+import { chunkHistoryLines, buildSummaryMessages } from './utils/summary.js';
+import { replaceDirectorMacros } from './utils/macros.js';
+import {
+    DIRECTION_SCHEMA, buildStructuredInstruction, parseStructuredOutput, buildRepairMessages,
+} from './utils/structured.js';
+import { DIRECTOR_TOOLS, rollDice, drawRandom } from './utils/tools.js';
+import { createPhase, findPacingPhase, formatPhaseRange } from './utils/pacing.js';
+import {
+    extractVariableTags, normalizeVariableUpdates, applyVariableUpdates, formatStoryVariables,
+} from './utils/variables.js';
+import {
+    DEFAULT_CRITIQUE_RUBRIC, buildCritiqueMessages, parseCritique, buildRewriteMessages,
+} from './utils/critique.js';
+import { findMostSimilar, buildRepetitionHint } from './utils/repetition.js';
+import {
+    WAIT_KINDS, createWaitCondition, createChatu8Condition, getDelayMs, describeWaitCondition,
+} from './utils/wait.js';
 
 const MODULE_NAME = 'st-plot-director';
 const EXTENSION_FOLDER = `third-party/${MODULE_NAME}`;
@@ -34,11 +59,20 @@ const API_TEMPLATES = {
         temperature: 0.8,
         maxTokens: 300,
     },
+    gemini: {
+        name: 'Google Gemini',
+        connectionMode: 'direct',
+        apiType: 'gemini',
+        apiUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        model: 'gemini-2.0-flash',
+        temperature: 0.8,
+        maxTokens: 300,
+    },
     ollama: {
         name: 'Ollama (Local)',
         connectionMode: 'direct',
-        apiType: 'openai',
-        apiUrl: 'http://localhost:11434/v1',
+        apiType: 'ollama',
+        apiUrl: 'http://localhost:11434',
         model: 'llama3.2',
         temperature: 0.8,
         maxTokens: 300,
@@ -62,10 +96,30 @@ const ERROR_MESSAGES = {
     API_403: 'API 访问被拒绝，请检查权限',
     API_429: 'API 请求频率超限，请稍后重试',
     API_500: 'API 服务器错误，请稍后重试',
+    QUOTA: 'API 额度已用尽，请检查账户余额',
+    CONTEXT_LENGTH: '输入超出模型上下文长度，请减少 Context Messages 或精简提示词',
+    CONTENT_FILTER: '请求被服务商内容过滤拒绝，请调整提示词或更换模型',
+    INVALID_MODEL: '模型不存在或不可用，请检查模型名称',
+    BAD_RESPONSE: 'API 返回了无法解析的响应',
     NETWORK_ERROR: '网络连接失败，请检查 API URL',
     TIMEOUT: '请求超时，请检查网络或增加超时时间',
 };
 
+// ApiError.code -> ERROR_MESSAGES key
+const API_ERROR_CODE_MESSAGES = {
+    auth: 'API_401',
+    forbidden: 'API_403',
+    rate_limit: 'API_429',
+    quota: 'QUOTA',
+    server: 'API_500',
+    context_length: 'CONTEXT_LENGTH',
+    content_filter: 'CONTENT_FILTER',
+    invalid_model: 'INVALID_MODEL',
+    bad_response: 'BAD_RESPONSE',
+    network: 'NETWORK_ERROR',
+    timeout: 'TIMEOUT',
+};
+
 // Regex 示例
 const REGEX_EXAMPLES = [
     {
@@ -73,6 +127,7 @@ const REGEX_EXAMPLES = [
         pattern: '\\*[^*]+\\*',
         replacement: '',
         flags: 'g',
+        stage: 'output',
         enabled: true,
     },
     {
@@ -80,6 +135,7 @@ const REGEX_EXAMPLES = [
         pattern: '\\([^)]+\\)',
         replacement: '',
         flags: 'g',
+        stage: 'output',
         enabled: false,
     },
     {
@@ -87,16 +143,34 @@ const REGEX_EXAMPLES = [
         pattern: '[""]',
         replacement: '"',
         flags: 'g',
+        stage: 'output',
         enabled: false,
     },
 ];
 
+// Where a regex rule applies. Rules saved before stages existed ran on the assembled prompt.
+const REGEX_STAGES = {
+    history: 'Chat History',
+    input: 'Assembled Prompt',
+    output: 'Director Output',
+    final: 'Final Message',
+};
+const REGEX_SCOPES = {
+    all: 'All Messages',
+    user: 'User Only',
+    ai: 'AI Only',
+};
+
 const defaultSettings = Object.freeze({
     enabled: false,
     mode: 'auto',
     rounds: 5,
     currentRound: 0,
     running: false,
+    characterOverrides: {},
+    groupPickSpeaker: true,
+    groupMemberNotes: {},
+    overrideBase: null,
     connectionMode: 'proxy',
     apiType: 'openai',
     apiUrl: '',
@@ -105,18 +179,56 @@ const defaultSettings = Object.freeze({
     temperature: 0.8,
     maxTokens: 300,
     contextLength: 20,
+    contextMode: 'messages',
+    contextTokenBudget: 4000,
     streaming: false,
+    deliveryMode: 'user',
+    injectDepth: 0,
+    injectRole: 'system',
     outlineEnabled: false,
     outline: '',
     outlineInjectRounds: 1,
     outlinePromptRounds: 999,
-    waitForChatu8: true,
-    chatu8StartTimeout: 15,
-    chatu8Timeout: 300,
+    outlineMode: 'text',
+    outlineBeats: [],
+    outlineBeatIndex: 0,
+    outlineBeatRounds: 0,
+    outlineLookahead: 2,
+    beatAdvanceMode: 'llm',
+    previewCandidates: 1,
+    stopOnSentinel: false,
+    stopSentinel: '[THE END]',
+    stopOnAiRegex: false,
+    stopAiRegex: '',
+    stopAiRegexFlags: 'i',
+    stopOnBudget: false,
+    stopBudgetUnit: 'chars',
+    stopBudgetLimit: 50000,
+    stopOnOutlineComplete: false,
+    stopOnRepeats: false,
+    stopRepeatCount: 3,
+    structuredOutput: false,
+    directorTools: false,
+    pacingEnabled: false,
+    pacingPhases: [],
+    critiqueEnabled: false,
+    critiqueRubric: DEFAULT_CRITIQUE_RUBRIC,
+    critiqueThreshold: 7,
+    critiqueMaxAttempts: 2,
+    critiqueAction: 'rewrite',
+    repetitionGuard: false,
+    repetitionWindow: 5,
+    repetitionThreshold: 0.6,
+    repetitionMaxRetries: 2,
+    waitConditions: [createChatu8Condition()],
     presets: {},
     selectedPreset: '',
     apiConfigs: {},
     selectedApiConfig: '',
+    retryCount: 2,
+    retryBaseDelay: 2,
+    retryMaxDelay: 60,
+    fallbackChain: [],
     regexRules: [],
     uiState: {
         activeTab: 'basic',
@@ -130,8 +242,32 @@ const defaultSettings = Object.freeze({
 
 let isProcessing = false;
 let currentAbortController = null;
+let skipRequested = false;
+let activePreviewPopup = null;
+// /pd-generate in progress, and whether a reply that ended meanwhile still needs its round
+let oneShotActive = false;
+let roundDeferred = false;
+let resumePromptedChatId = null;
+
+// Wait conditions: checks registered by other extensions, last emission time of
+// watched ST events, and when the AI reply that triggers the next round ended
+const registeredWaitConditions = new Map();
+const waitEventTimes = new Map();
+const watchedWaitEvents = new Set();
+let lastReplyEndedAt = null;
+
+// World Info entries activated by the host's last scan (WORLD_INFO_ACTIVATED)
+let activatedWorldInfo = [];
+
+// Stop condition tracking (per run)
+let runBudgetUsed = 0;
+let consecutiveBadDirections = 0;
+let lastDirectionNormalized = '';
 let eventsBound = false;
 
+// Pacing phase of the previous round, to log phase changes once
+let lastPacingPhaseId = null;
+
 // 配置变化检测
 let savedPresetSnapshot = null;
 let hasUnsavedChanges = false;
@@ -181,9 +317,12 @@ function handleError(error, context = '') {
     let errorMsg = error.message || String(error);
     let friendlyMsg = errorMsg;
 
-    // 优先检查 HTTP 状态码
+    // 优先使用 ApiError 的分类
+    const messageKey = error instanceof ApiError ? API_ERROR_CODE_MESSAGES[error.code] : null;
     const status = error.status || error.response?.status;
-    if (status) {
+    if (messageKey) {
+        friendlyMsg = ERROR_MESSAGES[messageKey];
+    } else if (status) {
         if (status === 401) {
             friendlyMsg = ERROR_MESSAGES.API_401;
         } else if (status === 403) {
@@ -194,22 +333,18 @@ function handleError(error, context = '') {
             friendlyMsg = ERROR_MESSAGES.API_500;
         }
     } else {
-        // 回退到字符串匹配
-        if (errorMsg.includes('401')) {
-            friendlyMsg = ERROR_MESSAGES.API_401;
-        } else if (errorMsg.includes('403')) {
-            friendlyMsg = ERROR_MESSAGES.API_403;
-        } else if (errorMsg.includes('429')) {
-            friendlyMsg = ERROR_MESSAGES.API_429;
-        } else if (errorMsg.includes('500') || errorMsg.includes('502') || errorMsg.includes('503')) {
-            friendlyMsg = ERROR_MESSAGES.API_500;
-        } else if (errorMsg.includes('timeout') || errorMsg.includes('timed out')) {
+        // 回退到字符串匹配（非 API 错误）
+        if (errorMsg.includes('timeout') || errorMsg.includes('timed out')) {
             friendlyMsg = ERROR_MESSAGES.TIMEOUT;
         } else if (errorMsg.includes('network') || errorMsg.includes('ECONNREFUSED') || errorMsg.includes('fetch failed')) {
             friendlyMsg = ERROR_MESSAGES.NETWORK_ERROR;
         }
     }
 
+    if (error instanceof ApiError && error.provider) {
+        errorMsg = `[${error.provider}/${error.code}] ${errorMsg}`;
+    }
+
     const fullMsg = context ? `${friendlyMsg} (${context})` : friendlyMsg;
     toastr.error(fullMsg);
     log(errorMsg, 'ERROR');
@@ -284,11 +419,21 @@ function showLLMOutput(text) {
     if (el) el.value = text;
 }
 
-function showInputLog(messages) {
+function formatBudgetReport(report) {
+    const lines = [`=== Context budget: ${report.total}/${report.budget} tokens ===`];
+    for (const block of report.blocks) {
+        const detail = block.messages !== undefined ? ` (${block.messages}/${block.available} messages)` : '';
+        lines.push(`${block.label}: ${block.tokens}${detail}`);
+    }
+    return lines.join('\n') + '\n\n';
+}
+
+function showInputLog(messages, report = null) {
     const el = document.getElementById('st_pd_input_log');
     if (!el) return;
 
-    let logText = '=== Messages sent to Director LLM ===\n\n';
+    let logText = report?.blocks ? formatBudgetReport(report) : '';
+    logText += '=== Messages sent to Director LLM ===\n\n';
 
     for (let i = 0; i < messages.length; i++) {
         const msg = messages[i];
@@ -302,82 +447,243 @@ function showInputLog(messages) {
     el.scrollTop = 0;
 }
 
+function appendInputLog(text) {
+    const el = document.getElementById('st_pd_input_log');
+    if (!el) return;
+    el.value += text + '\n\n' + '-'.repeat(50) + '\n\n';
+}
+
 // ---- Settings ----
 
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function abortableDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Aborted', 'AbortError'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// ---- Wait Conditions ----
+
+const WAIT_POLL_MS = 500;
+
+/**
+ * Let another extension register a busy check the director can wait for
+ * (exposed as window.stPlotDirector.registerWaitCondition).
+ * @param {string} name - Name to select in a wait condition of kind "api"
+ * @param {Function} isBusy - Returns (or resolves to) true while the extension is working
+ */
+function registerWaitCondition(name, isBusy) {
+    if (!name || typeof isBusy !== 'function') {
+        throw new TypeError('registerWaitCondition(name, isBusy) needs a name and a function');
+    }
+    registeredWaitConditions.set(String(name), isBusy);
+    log(`Wait condition "${name}" registered by an extension.`);
+}
+
+function unregisterWaitCondition(name) {
+    registeredWaitConditions.delete(String(name));
 }
 
-async function waitForChatu8Complete(settings) {
-    const fab = document.getElementById('st-chatu8-fab');
-    if (!fab) {
-        log('chatu8 FAB not found, skipping wait.');
-        return;
+function isValidSelector(selector) {
+    try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function resolveEventName(name) {
+    const eventTypes = SillyTavern.getContext().eventTypes || {};
+    return eventTypes[name] || name;
+}
+
+/**
+ * Record emission times of the events used by event conditions, so an event
+ * that fires before the round starts waiting still counts.
+ */
+function watchWaitEvents(settings) {
+    const context = SillyTavern.getContext();
+    for (const condition of settings.waitConditions || []) {
+        if (condition.kind !== 'event') continue;
+        for (const name of [condition.startEvent, condition.event]) {
+            const eventName = name?.trim() && resolveEventName(name.trim());
+            if (!eventName || watchedWaitEvents.has(eventName)) continue;
+            context.eventSource.on(eventName, () => waitEventTimes.set(eventName, Date.now()));
+            watchedWaitEvents.add(eventName);
+        }
     }
+}
 
-    const timeoutMs = (settings.chatu8Timeout || 300) * 1000;
-    const startTime = Date.now();
+function eventFiredSince(name, since) {
+    return (waitEventTimes.get(resolveEventName(name.trim())) || 0) >= since;
+}
+
+/**
+ * Checks for the two phases of a condition.
+ * @returns {{needsStart: boolean, started: Function, finished: Function}|null} null when the
+ *   condition can't apply (element or registered check missing)
+ */
+function createWaitProbe(condition, since) {
+    const name = condition.label || WAIT_KINDS[condition.kind];
+
+    if (condition.kind === 'dom') {
+        if (!condition.selector?.trim() || !condition.token?.trim()) return null;
+        if (!isValidSelector(condition.selector)) {
+            log(`${name}: invalid selector "${condition.selector}", skipping wait.`, 'WARN');
+            return null;
+        }
+        if (!document.querySelector(condition.selector)) {
+            log(`${name}: element ${condition.selector} not found, skipping wait.`);
+            return null;
+        }
+        const token = condition.token.trim();
+        const active = () => {
+            const el = document.querySelector(condition.selector);
+            if (!el) return false;
+            return condition.match === 'attribute' ? el.hasAttribute(token) : el.classList.contains(token);
+        };
+        return { needsStart: true, started: active, finished: () => !active() };
+    }
+
+    if (condition.kind === 'event') {
+        if (!condition.event?.trim()) return null;
+        let startedAt = since;
+        const started = () => {
+            if (!eventFiredSince(condition.startEvent, since)) return false;
+            startedAt = waitEventTimes.get(resolveEventName(condition.startEvent.trim()));
+            return true;
+        };
+        return {
+            needsStart: !!condition.startEvent?.trim(),
+            started,
+            finished: () => eventFiredSince(condition.event, startedAt),
+        };
+    }
 
-    // Phase 1: Poll for up to chatu8StartTimeout waiting for chatu8 to START (loading class appears)
-    log('Waiting for chatu8 to start...');
-    const pollStartLimit = (settings.chatu8StartTimeout || 15) * 1000;
-    let detected = false;
-    while (Date.now() - startTime < pollStartLimit) {
-        if (fab.classList.contains('st-chatu8-fab-loading')) {
-            detected = true;
-            break;
+    if (condition.kind === 'api') {
+        const isBusy = registeredWaitConditions.get(condition.apiName);
+        if (!isBusy) {
+            log(`${name}: no extension registered "${condition.apiName}", skipping wait.`);
+            return null;
         }
-        await delay(500);
+        const busy = async () => {
+            try {
+                return !!(await isBusy());
+            } catch (err) {
+                log(`${name}: check failed (${err.message}), treating as idle.`, 'WARN');
+                return false;
+            }
+        };
+        return { needsStart: true, started: busy, finished: async () => !(await busy()) };
+    }
+
+    return null;
+}
+
+/**
+ * Run one probe check, giving up at the phase deadline. A check still pending
+ * then counts as "not yet" (an extension's check may never settle); stop / skip
+ * abort it right away.
+ * @param {Function} check - Probe check, sync or async
+ * @param {number} deadline - Timestamp the current phase ends at
+ * @param {AbortSignal} signal - Aborted on stop / skip
+ * @returns {Promise<boolean>}
+ */
+async function runProbeCheck(check, deadline, signal) {
+    if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+    const timer = new AbortController();
+    const onAbort = () => timer.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+        return await Promise.race([
+            Promise.resolve().then(check),
+            abortableDelay(Math.max(0, deadline - Date.now()), timer.signal).then(() => false),
+        ]);
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+        // Clears the deadline timer; its rejection is absorbed by the settled race
+        timer.abort();
     }
+}
 
-    if (!detected) {
-        log(`chatu8 did not start within ${settings.chatu8StartTimeout || 15}s, continuing.`);
+/**
+ * Wait for one condition: up to startTimeout for it to begin, then up to
+ * finishTimeout for it to end. Timeouts are not errors; the round goes on.
+ */
+async function runWaitCondition(condition, since, signal) {
+    const name = condition.label || WAIT_KINDS[condition.kind] || condition.kind;
+
+    if (condition.kind === 'delay') {
+        const ms = getDelayMs(condition);
+        if (ms <= 0) return;
+        log(`${name}: waiting ${(ms / 1000).toFixed(1)}s...`);
+        await abortableDelay(ms, signal);
         return;
     }
 
-    // Phase 2: Wait for chatu8 to FINISH (loading class removed)
-    log('chatu8 is generating, waiting for it to finish...');
+    const probe = createWaitProbe(condition, since);
+    if (!probe) return;
+
+    if (probe.needsStart) {
+        log(`Waiting for ${name} to start...`);
+        const startDeadline = Date.now() + (condition.startTimeout ?? 15) * 1000;
+        while (!(await runProbeCheck(probe.started, startDeadline, signal))) {
+            if (Date.now() >= startDeadline) {
+                log(`${name} did not start within ${condition.startTimeout ?? 15}s, continuing.`);
+                return;
+            }
+            await abortableDelay(WAIT_POLL_MS, signal);
+        }
+    }
 
-    // 启动状态更新
-    const totalSeconds = Math.floor(timeoutMs / 1000);
+    log(`Waiting for ${name} to finish...`);
+    const finishLimit = (condition.finishTimeout ?? 300) * 1000;
+    const finishTime = Date.now();
+    const finishDeadline = finishTime + finishLimit;
+    const totalSeconds = Math.floor(finishLimit / 1000);
     clearStatusInterval();
     statusUpdateInterval = setInterval(() => {
-        const elapsed = Math.floor((Date.now() - startTime) / 1000);
-        updateWaitingStatus('⏳ 等待 chatu8 完成...', elapsed, totalSeconds);
+        const elapsed = Math.floor((Date.now() - finishTime) / 1000);
+        updateWaitingStatus(`⏳ 等待 ${name} 完成...`, elapsed, totalSeconds);
     }, 1000);
 
-    return new Promise((resolve) => {
-        let timeoutId = null;
-
-        const cleanup = () => {
-            observer.disconnect();
-            clearStatusInterval();
-            if (timeoutId) clearTimeout(timeoutId);
-        };
-
-        const observer = new MutationObserver(() => {
-            if (!fab.classList.contains('st-chatu8-fab-loading')) {
-                cleanup();
-                log(`chatu8 finished (${((Date.now() - startTime) / 1000).toFixed(1)}s).`);
-                resolve();
+    try {
+        while (!(await runProbeCheck(probe.finished, finishDeadline, signal))) {
+            if (Date.now() >= finishDeadline) {
+                log(`${name} wait timed out, continuing anyway.`, 'WARN');
+                return;
             }
-        });
-        observer.observe(fab, { attributes: true, attributeFilter: ['class'] });
-
-        // Also check immediately in case it already finished during setup
-        if (!fab.classList.contains('st-chatu8-fab-loading')) {
-            cleanup();
-            log(`chatu8 finished (${((Date.now() - startTime) / 1000).toFixed(1)}s).`);
-            resolve();
-            return;
+            await abortableDelay(WAIT_POLL_MS, signal);
         }
+        log(`${name} finished (${((Date.now() - finishTime) / 1000).toFixed(1)}s).`);
+    } finally {
+        clearStatusInterval();
+    }
+}
 
-        timeoutId = setTimeout(() => {
-            cleanup();
-            log('chatu8 wait timed out, continuing anyway.', 'WARN');
-            resolve();
-        }, timeoutMs);
-    });
+/**
+ * Run every enabled wait condition in order before a round.
+ * @param {object} settings - Extension settings
+ * @param {AbortSignal} signal - Aborted on stop / skip
+ * @param {number} since - Events emitted from this time on count as fired
+ */
+async function runWaitConditions(settings, signal, since) {
+    for (const condition of settings.waitConditions || []) {
+        if (!condition.enabled) continue;
+        await runWaitCondition(condition, since, signal);
+    }
 }
 
 function getSettings() {
@@ -386,16 +692,30 @@ function getSettings() {
     if (!ext[MODULE_NAME]) {
         ext[MODULE_NAME] = structuredClone(defaultSettings);
     }
+    const settings = ext[MODULE_NAME];
+    // Older versions had a single hard-wired chatu8 wait
+    if (!Object.hasOwn(settings, 'waitConditions') && Object.hasOwn(settings, 'waitForChatu8')) {
+        settings.waitConditions = [createChatu8Condition({
+            enabled: !!settings.waitForChatu8,
+            startTimeout: settings.chatu8StartTimeout ?? 15,
+            finishTimeout: settings.chatu8Timeout ?? 300,
+        })];
+        delete settings.waitForChatu8;
+        delete settings.chatu8StartTimeout;
+        delete settings.chatu8Timeout;
+    }
     for (const key of Object.keys(defaultSettings)) {
-        if (!Object.hasOwn(ext[MODULE_NAME], key)) {
-            ext[MODULE_NAME][key] = defaultSettings[key];
+        if (!Object.hasOwn(settings, key)) {
+            // Copy so nested defaults (arrays, objects) are never shared
+            settings[key] = structuredClone(defaultSettings[key]);
         }
     }
-    return ext[MODULE_NAME];
+    return settings;
 }
 
 function saveSettings() {
     const context = SillyTavern.getContext();
+    syncOverrideEdits(getSettings());
     context.saveSettingsDebounced();
 }
 
@@ -421,6 +741,21 @@ function updateStatusUI(settings) {
             ? `Completed ${settings.currentRound} / ${settings.rounds}`
             : '';
     }
+
+    const beatEl = document.getElementById('st_pd_beat_progress');
+    if (beatEl) {
+        beatEl.textContent = settings.outlineEnabled && settings.outlineMode === 'beats'
+            ? getBeatProgressLabel(settings)
+            : '';
+    }
+
+    const phaseEl = document.getElementById('st_pd_phase_progress');
+    if (phaseEl) {
+        const phase = getActivePacingPhase(settings);
+        phaseEl.textContent = phase
+            ? `Phase: ${phase.name || '(unnamed)'} (${formatPhaseRange(phase, settings.rounds)})`
+            : '';
+    }
 }
 
 function populatePresetDropdown(settings) {
@@ -435,6 +770,8 @@ function populatePresetDropdown(settings) {
         if (name === settings.selectedPreset) opt.selected = true;
         select.appendChild(opt);
     }
+    // Phase preset pickers list the same presets
+    renderPacingList(settings);
 }
 
 function loadPresetToEditor(settings) {
@@ -449,7 +786,7 @@ function loadPresetToEditor(settings) {
 
 // ---- API Config Helpers ----
 
-const API_CONFIG_FIELDS = ['connectionMode', 'apiType', 'apiUrl', 'apiKey', 'model', 'temperature', 'maxTokens', 'contextLength', 'streaming'];
+const API_CONFIG_FIELDS = ['connectionMode', 'apiType', 'apiUrl', 'apiKey', 'model', 'temperature', 'maxTokens', 'contextLength', 'contextMode', 'contextTokenBudget', 'streaming'];
 
 function applyApiTemplate(settings, templateKey) {
     const template = API_TEMPLATES[templateKey];
@@ -494,6 +831,58 @@ function populateApiConfigDropdown(settings) {
         if (name === settings.selectedApiConfig) opt.selected = true;
         select.appendChild(opt);
     }
+    renderFallbackChain(settings);
+}
+
+function renderFallbackChain(settings) {
+    const select = document.getElementById('st_pd_fallback_select');
+    const list = document.getElementById('st_pd_fallback_list');
+    if (!select || !list) return;
+
+    if (!settings.fallbackChain) settings.fallbackChain = [];
+    const chain = settings.fallbackChain;
+
+    select.innerHTML = '';
+    for (const name of Object.keys(settings.apiConfigs || {})) {
+        if (chain.includes(name)) continue;
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = name;
+        select.appendChild(opt);
+    }
+
+    list.innerHTML = '';
+    if (chain.length === 0) {
+        list.innerHTML = '<div style="opacity:0.5;padding:4px;">No fallback configs.</div>';
+        return;
+    }
+
+    chain.forEach((name, i) => {
+        const item = document.createElement('div');
+        const missing = !settings.apiConfigs?.[name];
+        item.className = 'st-pd-fallback-item' + (missing ? ' missing' : '');
+        item.innerHTML = `
+            <span class="st-pd-fallback-item-name">${i + 1}. ${escapeHtml(name)}</span>
+            <i class="fa-solid fa-arrow-up" title="Move up"></i>
+            <i class="fa-solid fa-arrow-down" title="Move down"></i>
+            <i class="fa-solid fa-trash" title="Remove"></i>
+        `;
+        const move = (offset) => {
+            const target = i + offset;
+            if (target < 0 || target >= chain.length) return;
+            [chain[i], chain[target]] = [chain[target], chain[i]];
+            saveSettings();
+            renderFallbackChain(settings);
+        };
+        item.querySelector('.fa-arrow-up').addEventListener('click', () => move(-1));
+        item.querySelector('.fa-arrow-down').addEventListener('click', () => move(1));
+        item.querySelector('.fa-trash').addEventListener('click', () => {
+            chain.splice(i, 1);
+            saveSettings();
+            renderFallbackChain(settings);
+        });
+        list.appendChild(item);
+    });
 }
 
 function loadApiConfigToUI(settings) {
@@ -504,6 +893,10 @@ function loadApiConfigToUI(settings) {
             settings[key] = config[key];
         }
     }
+    syncApiFieldsToUI(settings);
+}
+
+function syncApiFieldsToUI(settings) {
     const fieldMap = {
         connectionMode: 'st_pd_connection_mode',
         apiType: 'st_pd_api_type',
@@ -513,15 +906,24 @@ function loadApiConfigToUI(settings) {
         temperature: 'st_pd_temperature',
         maxTokens: 'st_pd_max_tokens',
         contextLength: 'st_pd_context_length',
+        contextMode: 'st_pd_context_mode',
+        contextTokenBudget: 'st_pd_context_token_budget',
     };
     for (const [key, id] of Object.entries(fieldMap)) {
         const el = document.getElementById(id);
         if (el) el.value = settings[key];
     }
+    updateContextModeUI(settings);
     const streamingEl = document.getElementById('st_pd_streaming');
     if (streamingEl) streamingEl.checked = !!settings.streaming;
 }
 
+function updateContextModeUI(settings) {
+    const tokens = settings.contextMode === 'tokens';
+    document.getElementById('st_pd_context_length_row')?.classList.toggle('st-pd-hidden', tokens);
+    document.getElementById('st_pd_context_budget_row')?.classList.toggle('st-pd-hidden', !tokens);
+}
+
 function extractApiConfig(settings) {
     const config = {};
     for (const key of API_CONFIG_FIELDS) {
@@ -532,403 +934,3058 @@ function extractApiConfig(settings) {
 
 // ---- Core Logic ----
 
-function buildChatHistory(chat, settings, mode) {
+function getRecentChatMessages(chat, settings) {
     const recentChat = chat.slice(-settings.contextLength);
-    const filtered = recentChat.filter(msg => !(msg.is_system && !msg.is_user));
+    return recentChat.filter(msg => !(msg.is_system && !msg.is_user));
+}
 
+/**
+ * One chat message as a history line.
+ * @param {string} mode - 'text' (name only) or 'role' ([role] name)
+ */
+function formatHistoryEntry(msg, mode) {
+    const name = msg.name || (msg.is_user ? 'User' : 'Character');
     if (mode === 'text') {
-        // Text mode: simple concatenation
-        let chatText = '';
-        for (const msg of filtered) {
-            const name = msg.name || (msg.is_user ? 'User' : 'Character');
-            chatText += `${name}: ${msg.mes}\n\n`;
-        }
-        return chatText.trim();
-    }
-
-    // Role mode: show role information
-    let chatText = '';
-    for (const msg of filtered) {
-        const role = msg.is_user ? 'user' : 'assistant';
-        const name = msg.name || (msg.is_user ? 'User' : 'Character');
-        chatText += `[${role}] ${name}: ${msg.mes}\n\n`;
+        return `${name}: ${msg.mes}`;
     }
-    return chatText.trim();
+    const role = msg.is_user ? 'user' : 'assistant';
+    return `[${role}] ${name}: ${msg.mes}`;
 }
 
-function shouldInjectOutlineToLLM(settings) {
-    if (!settings.outlineEnabled) return false;
-    if (!settings.outline?.trim()) return false;
-
-    const currentRound = settings.currentRound || 0;
-    const maxRounds = settings.outlinePromptRounds || 999;
-
-    return currentRound <= maxRounds;
+function formatChatHistory(messages, mode) {
+    return messages.map(msg => formatHistoryEntry(msg, mode)).join('\n\n').trim();
 }
 
-function buildMessages(settings) {
-    const context = SillyTavern.getContext();
-    const chat = context.chat || [];
-    const preset = getCurrentPreset(settings);
-    const pmConfig = preset?.prompt_manager || getDefaultPromptManagerConfig();
-
-    // Collect all enabled block contents
-    const contentParts = [];
-
-    for (const block of pmConfig.blocks) {
-        if (!block.enabled) continue;
-
-        let blockContent = '';
-
-        // Get actual content for each block
-        switch (block.id) {
-            case 'system_prompt':
-                blockContent = preset?.system_prompt || '';
-                break;
+function buildChatHistory(chat, settings, mode) {
+    return formatChatHistory(getRecentChatMessages(chat, settings), mode);
+}
 
-            case 'plot_outline':
-                if (shouldInjectOutlineToLLM(settings)) {
-                    blockContent = settings.outline || '';
-                }
-                break;
+/**
+ * Expand chat messages into real user/assistant turns (separate layout + role mode).
+ * @returns {Array<{role: string, content: string}>}
+ */
+function toChatHistoryTurns(messages) {
+    return messages
+        .filter(msg => msg.mes?.trim())
+        .map(msg => ({
+            role: msg.is_user ? 'user' : 'assistant',
+            content: formatHistoryEntry(msg, 'text'),
+        }));
+}
 
-            case 'chat_history':
-                blockContent = buildChatHistory(chat, settings, pmConfig.chatHistoryMode);
-                break;
+// Rough per-message cost of role markers and separators
+const MESSAGE_OVERHEAD_TOKENS = 4;
 
-            case 'instruction':
-                blockContent = block.content || '';
-                break;
+/**
+ * Pick chat messages newest to oldest until the token budget runs out.
+ * @param {Array} messages - Candidate chat messages, oldest first
+ * @param {number} budget - Tokens available for history
+ * @param {string} mode - History format used for counting ('text', 'role' or 'turns')
+ * @param {Function} [tokenizer] - Async tokenizer
+ * @returns {Promise<{selected: Array, tokens: number}>}
+ */
+async function selectHistoryByBudget(messages, budget, mode, tokenizer) {
+    const selected = [];
+    let tokens = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const msg = messages[i];
+        if (mode === 'turns' && !msg.mes?.trim()) continue;
+        const entry = formatHistoryEntry(msg, mode === 'role' ? 'role' : 'text');
+        const cost = await countTokens(entry, tokenizer) + (mode === 'turns' ? MESSAGE_OVERHEAD_TOKENS : 1);
+        if (tokens + cost > budget) break;
+        selected.unshift(msg);
+        tokens += cost;
+    }
+    return { selected, tokens };
+}
 
-            default:
-                // Custom blocks
-                if (block.type === 'custom') {
-                    blockContent = block.content || '';
-                }
-                break;
-        }
+/**
+ * Outline text as seen by the director: the free-text outline, or in beats
+ * mode the current beat plus a short look-ahead.
+ */
+function getOutlineText(settings) {
+    if (settings.outlineMode === 'beats') {
+        return formatBeatOutline(settings);
+    }
+    return settings.outline || '';
+}
 
-        // Skip empty content
-        if (!blockContent.trim()) continue;
+// ---- Macros ----
 
-        // Wrap with tag if tagName exists
-        if (block.tagName && block.tagName.trim()) {
-            const tagName = block.tagName.trim();
-            blockContent = `<${tagName}>\n${blockContent}\n</${tagName}>`;
-        }
+function getLastSentDirection() {
+    const history = getDirectionHistory();
+    for (let i = history.length - 1; i >= 0; i--) {
+        if (history[i].status === 'sent') return history[i].finalText || '';
+    }
+    return '';
+}
 
-        contentParts.push(blockContent);
+function getLastAiMessage(chat) {
+    for (let i = chat.length - 1; i >= 0; i--) {
+        const msg = chat[i];
+        if (!msg.is_user && !msg.is_system) return msg.mes || '';
     }
+    return '';
+}
 
-    // Merge all content into a single message
-    const mergedContent = contentParts.join('\n\n');
+/**
+ * Values of the director macros at the current point of the run.
+ */
+function getDirectorMacroValues(settings) {
+    const chat = SillyTavern.getContext().chat || [];
+    const round = settings.currentRound || 0;
+    const values = {
+        round,
+        rounds: settings.rounds,
+        rounds_left: Math.max(0, settings.rounds - round),
+        last_direction: getLastSentDirection(),
+        last_ai_message: getLastAiMessage(chat),
+        outline: '',
+    };
+    // The outline may itself use macros (but not {{outline}})
+    values.outline = expandMacros(getOutlineText(settings), settings, values);
+    return values;
+}
 
-    // Return single user message
-    return [
-        {
-            role: 'user',
-            content: mergedContent
+/**
+ * Expand standard ST macros ({{char}}, {{user}}, ...) via the host, then director macros.
+ * Director values hold chat text, so they are inserted last and literally: a
+ * {{...}} in a reply must not run host macros such as {{setvar}}.
+ * @param {string} text - Text to expand
+ * @param {object} settings - Extension settings
+ * @param {object} [values] - Precomputed director macro values
+ * @returns {string} Expanded text
+ */
+function expandMacros(text, settings, values = null) {
+    if (!text || !text.includes('{{')) return text;
+    let expanded = text;
+    const context = SillyTavern.getContext();
+    if (typeof context.substituteParams === 'function') {
+        try {
+            expanded = context.substituteParams(text);
+        } catch (e) {
+            log(`Macro substitution failed: ${e.message}`, 'WARN');
         }
-    ];
+    }
+    return replaceDirectorMacros(expanded, values || getDirectorMacroValues(settings));
 }
 
-function applyRegexRules(messages, rules) {
-    if (!rules || rules.length === 0) return messages;
+// ---- Character Card / Persona / World Info ----
 
-    const activeRules = rules.filter(r => r.enabled && r.pattern);
-    if (activeRules.length === 0) return messages;
+const CARD_BLOCK_FIELDS = {
+    char_description: 'description',
+    char_personality: 'personality',
+    scenario: 'scenario',
+    persona: 'persona',
+};
 
-    const compiled = [];
-    for (const rule of activeRules) {
+/**
+ * Character card and persona fields of the current chat.
+ * Uses the host's getCharacterCardFields when available.
+ */
+function getCardFields() {
+    const context = SillyTavern.getContext();
+    if (typeof context.getCharacterCardFields === 'function') {
         try {
-            compiled.push({ regex: new RegExp(rule.pattern, rule.flags || 'g'), replacement: rule.replacement || '', label: rule.label || rule.pattern });
+            return context.getCharacterCardFields() || {};
         } catch (e) {
-            log(`Invalid regex "${rule.pattern}" (${rule.label || 'unnamed'}): ${e.message}. Skipping.`, 'WARN');
+            log(`Reading character card failed: ${e.message}`, 'WARN');
         }
     }
+    const character = context.characters?.[context.characterId];
+    return {
+        description: character?.description || '',
+        personality: character?.personality || '',
+        scenario: character?.scenario || '',
+        persona: context.powerUserSettings?.persona_description || '',
+    };
+}
 
-    if (compiled.length === 0) return messages;
+function onWorldInfoActivated(entries) {
+    activatedWorldInfo = Array.isArray(entries) ? entries : [];
+}
 
-    return messages.map(m => {
-        let content = m.content;
-        for (const { regex, replacement } of compiled) {
-            content = content.replace(regex, replacement);
-        }
-        return content !== m.content ? { ...m, content } : m;
-    });
+function getWorldInfoText() {
+    return activatedWorldInfo
+        .map(entry => entry.content?.trim())
+        .filter(Boolean)
+        .join('\n\n');
 }
 
-async function callDirectorLLM(settings, signal) {
-    const context = SillyTavern.getContext();
-    let messages = buildMessages(settings);
+/**
+ * Content of a card / persona / World Info block, or null for other blocks.
+ */
+function getContextBlockContent(blockId) {
+    if (blockId === 'world_info') return getWorldInfoText();
+    const field = CARD_BLOCK_FIELDS[blockId];
+    if (!field) return null;
+    return getCardFields()[field] || '';
+}
 
-    messages = applyRegexRules(messages, settings.regexRules);
+// ---- Wait Conditions UI ----
 
-    showInputLog(messages);
+function renderWaitConditions(settings) {
+    const container = document.getElementById('st_pd_wait_list');
+    if (!container) return;
 
-    // 启动生成状态更新
-    const startTime = Date.now();
-    clearStatusInterval();
-    statusUpdateInterval = setInterval(() => {
-        const elapsed = Math.floor((Date.now() - startTime) / 1000);
-        updateGeneratingStatus('🤖 导演 LLM 生成中...', elapsed);
-    }, 1000);
+    if (!settings.waitConditions) settings.waitConditions = [];
+    const conditions = settings.waitConditions;
 
-    try {
-        const outputEl = document.getElementById('st_pd_llm_output');
-        const options = {
-            signal,
-            streaming: settings.streaming,
-            onToken: (token) => {
-                if (outputEl) outputEl.value += token;
-            },
+    container.innerHTML = '';
+    if (conditions.length === 0) {
+        container.innerHTML = '<div class="st-pd-hint">No wait conditions.</div>';
+        return;
+    }
+
+    conditions.forEach((condition, i) => {
+        const itemEl = document.createElement('div');
+        itemEl.className = 'st-pd-beat st-pd-wait' + (condition.enabled ? '' : ' done');
+        const kindOptions = Object.entries(WAIT_KINDS)
+            .map(([value, label]) => `<option value="${value}"${value === condition.kind ? ' selected' : ''}>${label}</option>`)
+            .join('');
+        const readonly = condition.builtin ? ' disabled' : '';
+
+        let kindFields = '';
+        switch (condition.kind) {
+            case 'dom':
+                kindFields = `
+                    <div class="st-pd-row">
+                        <label>Selector</label>
+                        <input type="text" data-field="selector" value="${escapeHtml(condition.selector || '')}" placeholder="#some-button"${readonly} />
+                    </div>
+                    <div class="st-pd-row">
+                        <select data-field="match" style="max-width:110px;"${readonly}>
+                            <option value="class"${condition.match !== 'attribute' ? ' selected' : ''}>Class</option>
+                            <option value="attribute"${condition.match === 'attribute' ? ' selected' : ''}>Attribute</option>
+                        </select>
+                        <input type="text" data-field="token" value="${escapeHtml(condition.token || '')}" placeholder="loading"${readonly} />
+                    </div>`;
+                break;
+            case 'event':
+                kindFields = `
+                    <div class="st-pd-row">
+                        <label title="可选；设置后先等待该事件，再等待结束事件">Start Event</label>
+                        <input type="text" data-field="startEvent" value="${escapeHtml(condition.startEvent || '')}" placeholder="(optional) e.g. GENERATION_STARTED" />
+                    </div>
+                    <div class="st-pd-row">
+                        <label>Finish Event</label>
+                        <input type="text" data-field="event" value="${escapeHtml(condition.event || '')}" placeholder="e.g. MESSAGE_UPDATED" />
+                    </div>`;
+                break;
+            case 'delay':
+                kindFields = `
+                    <div class="st-pd-row">
+                        <label title="最小值与最大值相同时为固定延迟，否则在两者之间随机">Seconds</label>
+                        <input type="number" data-field="minSeconds" data-type="number" min="0" max="600" step="0.5" value="${condition.minSeconds ?? 1}" />
+                        <input type="number" data-field="maxSeconds" data-type="number" min="0" max="600" step="0.5" value="${condition.maxSeconds ?? 1}" />
+                    </div>`;
+                break;
+            case 'api': {
+                const registered = [...registeredWaitConditions.keys()].join(', ') || 'none';
+                kindFields = `
+                    <div class="st-pd-row">
+                        <label title="其他扩展通过 window.stPlotDirector.registerWaitCondition(name, isBusy) 注册的名称">Name</label>
+                        <input type="text" data-field="apiName" value="${escapeHtml(condition.apiName || '')}" />
+                    </div>
+                    <span class="st-pd-hint">Registered: ${escapeHtml(registered)}</span>`;
+                break;
+            }
+        }
+        const timeoutFields = condition.kind === 'delay' ? '' : `
+            <div class="st-pd-row">
+                <label title="等待开始的最长秒数；未开始则跳过该条件">Start Timeout (s)</label>
+                <input type="number" data-field="startTimeout" data-type="number" min="1" max="600" value="${condition.startTimeout ?? 15}" />
+            </div>
+            <div class="st-pd-row">
+                <label title="开始后等待结束的最长秒数">Finish Timeout (s)</label>
+                <input type="number" data-field="finishTimeout" data-type="number" min="1" max="3600" value="${condition.finishTimeout ?? 300}" />
+            </div>`;
+
+        itemEl.innerHTML = `
+            <div class="st-pd-beat-header">
+                <input type="checkbox" class="st-pd-wait-enabled"${condition.enabled ? ' checked' : ''} title="Enabled" />
+                <span class="st-pd-beat-title">${escapeHtml(condition.label || WAIT_KINDS[condition.kind])}</span>
+                <span class="st-pd-wait-desc">${escapeHtml(describeWaitCondition(condition))}</span>
+                <div class="st-pd-beat-actions">
+                    <i class="fa-solid fa-arrow-up st-pd-beat-up" title="Move up"></i>
+                    <i class="fa-solid fa-arrow-down st-pd-beat-down" title="Move down"></i>
+                    <i class="fa-solid fa-chevron-down st-pd-beat-expand" title="Expand/Collapse"></i>
+                    ${condition.builtin ? '' : '<i class="fa-solid fa-trash st-pd-beat-delete" title="Delete condition"></i>'}
+                </div>
+            </div>
+            <div class="st-pd-beat-body st-pd-hidden">
+                <div class="st-pd-row">
+                    <label>Label</label>
+                    <input type="text" data-field="label" value="${escapeHtml(condition.label || '')}" />
+                </div>
+                <div class="st-pd-row">
+                    <label>Kind</label>
+                    <select class="st-pd-wait-kind"${readonly}>${kindOptions}</select>
+                </div>
+                ${kindFields}
+                ${timeoutFields}
+            </div>
+        `;
+
+        const body = itemEl.querySelector('.st-pd-beat-body');
+        itemEl.querySelector('.st-pd-beat-expand')?.addEventListener('click', (e) => {
+            body.classList.toggle('st-pd-hidden');
+            e.target.classList.toggle('fa-chevron-down');
+            e.target.classList.toggle('fa-chevron-up');
+        });
+
+        const move = (offset) => {
+            const target = i + offset;
+            if (target < 0 || target >= conditions.length) return;
+            [conditions[i], conditions[target]] = [conditions[target], conditions[i]];
+            saveSettings();
+            renderWaitConditions(settings);
         };
+        itemEl.querySelector('.st-pd-beat-up')?.addEventListener('click', () => move(-1));
+        itemEl.querySelector('.st-pd-beat-down')?.addEventListener('click', () => move(1));
 
-        // Clear output area before streaming starts
-        if (settings.streaming && outputEl) outputEl.value = '';
+        itemEl.querySelector('.st-pd-beat-delete')?.addEventListener('click', () => {
+            conditions.splice(i, 1);
+            saveSettings();
+            renderWaitConditions(settings);
+        });
 
-        let result;
-        if (settings.connectionMode === 'proxy') {
-            result = await generateViaProxy(messages, settings, context.getRequestHeaders, options);
+        const enabledEl = itemEl.querySelector('.st-pd-wait-enabled');
+        enabledEl?.addEventListener('change', () => {
+            condition.enabled = enabledEl.checked;
+            itemEl.classList.toggle('done', !condition.enabled);
+            saveSettings();
+            watchWaitEvents(settings);
+        });
+
+        const kindEl = itemEl.querySelector('.st-pd-wait-kind');
+        kindEl?.addEventListener('change', () => {
+            condition.kind = kindEl.value;
+            saveSettings();
+            renderWaitConditions(settings);
+        });
+
+        itemEl.querySelectorAll('[data-field]').forEach((input) => {
+            input.addEventListener('change', () => {
+                const field = input.dataset.field;
+                if (input.dataset.type === 'number') {
+                    const value = parseFloat(input.value);
+                    condition[field] = Number.isFinite(value) ? Math.max(0, value) : 0;
+                } else {
+                    condition[field] = input.value.trim();
+                }
+                if (field === 'selector') {
+                    const valid = !condition.selector || isValidSelector(condition.selector);
+                    input.classList.toggle('st-pd-regex-invalid', !valid);
+                    if (!valid) toastr.warning(`Invalid CSS selector: ${condition.selector}`);
+                }
+                itemEl.querySelector('.st-pd-beat-title').textContent = condition.label || WAIT_KINDS[condition.kind];
+                itemEl.querySelector('.st-pd-wait-desc').textContent = describeWaitCondition(condition);
+                saveSettings();
+                if (condition.kind === 'event') watchWaitEvents(settings);
+            });
+        });
+
+        container.appendChild(itemEl);
+    });
+}
+
+// ---- Pacing Schedule ----
+
+/**
+ * Pacing phase of the current round (only while the director is running).
+ */
+function getActivePacingPhase(settings) {
+    if (!settings.pacingEnabled || !settings.running) return null;
+    return findPacingPhase(settings.pacingPhases, Math.max(1, settings.currentRound), settings.rounds);
+}
+
+/**
+ * Settings for this round's director call, with the active phase's preset and
+ * sampling overrides applied. Returns the settings unchanged when no phase is active.
+ * @param {object} settings - Extension settings
+ * @param {object} [trace] - Receives the phase name and the preset used
+ * @returns {object} Settings, or a shallow copy with the overrides
+ */
+function applyPacing(settings, trace = {}) {
+    const phase = getActivePacingPhase(settings);
+    trace.preset = settings.selectedPreset;
+    if (phase?.id !== lastPacingPhaseId) {
+        lastPacingPhaseId = phase?.id ?? null;
+        if (phase) log(`Pacing: entering phase "${phase.name || '(unnamed)'}" (${formatPhaseRange(phase, settings.rounds)}).`);
+    }
+    if (!phase) return settings;
+
+    const sampling = {};
+    if (phase.temperature != null) sampling.temperature = phase.temperature;
+    if (phase.maxTokens) sampling.maxTokens = phase.maxTokens;
+
+    let selectedPreset = settings.selectedPreset;
+    if (phase.preset) {
+        if (settings.presets?.[phase.preset]) {
+            selectedPreset = phase.preset;
         } else {
-            result = await generateDirect(messages, settings, options);
+            log(`Pacing phase "${phase.name}": preset "${phase.preset}" not found, using "${selectedPreset}".`, 'WARN');
         }
-        clearStatusInterval();
-        return result;
-    } catch (error) {
-        clearStatusInterval();
-        throw error;
+    }
+
+    trace.phase = phase.name || '(unnamed)';
+    trace.preset = selectedPreset;
+    return { ...withChainSampling(settings, sampling), selectedPreset };
+}
+
+function parseOptionalNumber(value, parse) {
+    const str = String(value ?? '').trim();
+    if (!str) return null;
+    const n = parse(str);
+    return Number.isFinite(n) ? n : null;
+}
+
+function renderPacingList(settings) {
+    const container = document.getElementById('st_pd_pacing_list');
+    if (!container) return;
+
+    if (!settings.pacingPhases) settings.pacingPhases = [];
+    const phases = settings.pacingPhases;
+    const active = getActivePacingPhase(settings);
+    const presetNames = getPresetNames(settings);
+
+    container.innerHTML = '';
+    if (phases.length === 0) {
+        container.innerHTML = '<div class="st-pd-hint">No phases yet.</div>';
+        return;
+    }
+
+    phases.forEach((phase, i) => {
+        const phaseEl = document.createElement('div');
+        phaseEl.className = 'st-pd-beat st-pd-phase' + (phase === active ? ' current' : '');
+
+        const presetOptions = ['', ...presetNames].map(name => {
+            const label = name ? escapeHtml(name) : '(current preset)';
+            return `<option value="${escapeHtml(name)}"${name === (phase.preset || '') ? ' selected' : ''}>${label}</option>`;
+        }).join('');
+
+        phaseEl.innerHTML = `
+            <div class="st-pd-beat-header">
+                <span class="st-pd-beat-index">${i + 1}</span>
+                <span class="st-pd-beat-title">${escapeHtml(phase.name || '(unnamed)')}</span>
+                <span class="st-pd-phase-range">${escapeHtml(formatPhaseRange(phase, settings.rounds))}</span>
+                <div class="st-pd-beat-actions">
+                    <i class="fa-solid fa-arrow-up st-pd-beat-up" title="Move up"></i>
+                    <i class="fa-solid fa-arrow-down st-pd-beat-down" title="Move down"></i>
+                    <i class="fa-solid fa-chevron-down st-pd-beat-expand" title="Expand/Collapse"></i>
+                    <i class="fa-solid fa-trash st-pd-beat-delete" title="Delete phase"></i>
+                </div>
+            </div>
+            <div class="st-pd-beat-body st-pd-hidden">
+                <div class="st-pd-row">
+                    <label>Name</label>
+                    <input type="text" class="st-pd-phase-input-name" value="${escapeHtml(phase.name || '')}" placeholder="e.g. Setup" />
+                </div>
+                <div class="st-pd-row">
+                    <label title="轮数（3）、目标轮数的百分比（50%）或倒数（-2 = 倒数第二轮）；留空表示第一轮 / 最后一轮">Rounds</label>
+                    <input type="text" class="st-pd-phase-input-from" value="${escapeHtml(phase.from || '')}" placeholder="from" />
+                    <input type="text" class="st-pd-phase-input-to" value="${escapeHtml(phase.to || '')}" placeholder="to" />
+                </div>
+                <div class="st-pd-row">
+                    <label>Preset</label>
+                    <select class="st-pd-phase-input-preset">${presetOptions}</select>
+                </div>
+                <div class="st-pd-row">
+                    <label>Temperature</label>
+                    <input type="number" class="st-pd-phase-input-temperature" min="0" max="2" step="0.05" value="${phase.temperature ?? ''}" placeholder="(inherit)" />
+                </div>
+                <div class="st-pd-row">
+                    <label>Max Tokens</label>
+                    <input type="number" class="st-pd-phase-input-max-tokens" min="1" max="32000" value="${phase.maxTokens ?? ''}" placeholder="(inherit)" />
+                </div>
+            </div>
+        `;
+
+        const body = phaseEl.querySelector('.st-pd-beat-body');
+        phaseEl.querySelector('.st-pd-beat-expand')?.addEventListener('click', (e) => {
+            body.classList.toggle('st-pd-hidden');
+            e.target.classList.toggle('fa-chevron-down');
+            e.target.classList.toggle('fa-chevron-up');
+        });
+
+        const move = (offset) => {
+            const target = i + offset;
+            if (target < 0 || target >= phases.length) return;
+            [phases[i], phases[target]] = [phases[target], phases[i]];
+            saveSettings();
+            renderPacingList(settings);
+        };
+        phaseEl.querySelector('.st-pd-beat-up')?.addEventListener('click', () => move(-1));
+        phaseEl.querySelector('.st-pd-beat-down')?.addEventListener('click', () => move(1));
+
+        phaseEl.querySelector('.st-pd-beat-delete')?.addEventListener('click', () => {
+            phases.splice(i, 1);
+            saveSettings();
+            renderPacingList(settings);
+            updateStatusUI(settings);
+        });
+
+        const nameInput = phaseEl.querySelector('.st-pd-phase-input-name');
+        nameInput?.addEventListener('input', () => {
+            phase.name = nameInput.value;
+            phaseEl.querySelector('.st-pd-beat-title').textContent = phase.name || '(unnamed)';
+            saveSettings();
+            updateStatusUI(settings);
+        });
+
+        for (const side of ['from', 'to']) {
+            const input = phaseEl.querySelector(`.st-pd-phase-input-${side}`);
+            input?.addEventListener('input', () => {
+                phase[side] = input.value.trim();
+                phaseEl.querySelector('.st-pd-phase-range').textContent = formatPhaseRange(phase, settings.rounds);
+                saveSettings();
+                updateStatusUI(settings);
+            });
+        }
+
+        const presetInput = phaseEl.querySelector('.st-pd-phase-input-preset');
+        presetInput?.addEventListener('change', () => {
+            phase.preset = presetInput.value;
+            saveSettings();
+        });
+
+        const temperatureInput = phaseEl.querySelector('.st-pd-phase-input-temperature');
+        temperatureInput?.addEventListener('change', () => {
+            phase.temperature = parseOptionalNumber(temperatureInput.value, parseFloat);
+            saveSettings();
+        });
+
+        const maxTokensInput = phaseEl.querySelector('.st-pd-phase-input-max-tokens');
+        maxTokensInput?.addEventListener('change', () => {
+            phase.maxTokens = parseOptionalNumber(maxTokensInput.value, v => parseInt(v));
+            saveSettings();
+        });
+
+        container.appendChild(phaseEl);
+    });
+}
+
+// ---- Director Tools ----
+
+const LOREBOOK_SEARCH_LIMIT = 5;
+const TOOL_LOG_PREVIEW_CHARS = 500;
+
+/**
+ * Search the character's and the chat's lorebooks by keyword, title and content.
+ * @returns {Promise<string>} Matching entries, or a short explanation when there are none
+ */
+async function searchLorebooks(query) {
+    const context = SillyTavern.getContext();
+    const needle = String(query || '').trim().toLowerCase();
+    if (!needle) throw new Error('Query is empty');
+    if (typeof context.loadWorldInfo !== 'function') throw new Error('Lorebooks are not available');
+
+    const names = new Set([
+        context.characters?.[context.characterId]?.data?.extensions?.world,
+        context.chatMetadata?.world_info,
+    ].filter(Boolean));
+    if (names.size === 0) return 'No lorebook is attached to this character or chat.';
+
+    const hits = [];
+    for (const name of names) {
+        const data = await context.loadWorldInfo(name);
+        for (const entry of Object.values(data?.entries || {})) {
+            if (entry.disable) continue;
+            const keys = [...(entry.key || []), ...(entry.keysecondary || [])];
+            const haystack = [entry.comment, ...keys, entry.content].join('\n').toLowerCase();
+            if (haystack.includes(needle)) {
+                hits.push(`[${entry.comment || keys.join(', ') || name}]\n${entry.content || ''}`);
+            }
+        }
+    }
+    if (hits.length === 0) return `No lorebook entries match "${query}".`;
+    const more = hits.length > LOREBOOK_SEARCH_LIMIT ? `\n\n(${hits.length - LOREBOOK_SEARCH_LIMIT} more matches omitted)` : '';
+    return hits.slice(0, LOREBOOK_SEARCH_LIMIT).join('\n\n') + more;
+}
+
+/**
+ * Execute one of the DIRECTOR_TOOLS.
+ * @param {string} name - Tool name
+ * @param {object} args - Parsed arguments
+ * @returns {Promise<string>} Result text for the model
+ */
+async function executeDirectorTool(name, args) {
+    switch (name) {
+        case 'roll_dice':
+            return rollDice(args.notation);
+        case 'draw_random':
+            return drawRandom(args.options, args.count).join('\n');
+        // Variable tools work on the story variables, the same state the director keeps with [set] tags
+        case 'get_variable': {
+            const value = getStoryVariables()[String(args.name ?? '').trim()];
+            return value === undefined || value === '' ? `${args.name} is not set.` : String(value);
+        }
+        case 'set_variable': {
+            const updates = normalizeVariableUpdates({ [String(args.name ?? '')]: args.value });
+            const [key, value] = Object.entries(updates)[0] || [];
+            if (!key) throw new Error('Variable name is empty');
+            updateStoryVariables(updates);
+            return value === '' ? `${key} removed.` : `${key} = ${value}`;
+        }
+        case 'search_lorebook':
+            return searchLorebooks(args.query);
+        default:
+            throw new Error(`Unknown tool "${name}"`);
+    }
+}
+
+function supportsDirectorTools(settings) {
+    return settings.connectionMode !== 'proxy' && ['openai', 'claude'].includes(settings.apiType);
+}
+
+// Tools with side effects or random results: never run twice for the same request
+const REPLAYED_TOOLS = new Set(['roll_dice', 'draw_random', 'set_variable']);
+
+/**
+ * Wrap a tool handler for the retries and fallbacks of one request. A call a
+ * previous attempt already made (same tool, arguments and occurrence) gets the
+ * earlier result back instead of rolling again or writing the variable twice.
+ * @param {Function} onToolCall - async (name, args) => result text
+ * @returns {{nextAttempt: Function, onToolCall: Function}}
+ */
+function createToolCallCache(onToolCall) {
+    const results = new Map();
+    let seen = new Map();
+    return {
+        nextAttempt() {
+            seen = new Map();
+        },
+        async onToolCall(name, args) {
+            if (!REPLAYED_TOOLS.has(name)) return onToolCall(name, args);
+            const key = `${name}:${JSON.stringify(args)}`;
+            const index = seen.get(key) || 0;
+            seen.set(key, index + 1);
+            const previous = results.get(key) || [];
+            if (index < previous.length) {
+                log(`Tool call ${name} repeated by a retry, reusing the earlier result.`);
+                return previous[index];
+            }
+            const result = await onToolCall(name, args);
+            results.set(key, [...previous, result]);
+            return result;
+        },
+    };
+}
+
+// ---- Group Chats ----
+
+const NEXT_SPEAKER_REGEX = /^\s*\[?\s*next speaker\s*[:：]\s*([^\]\n]+?)\s*\]?\s*$/gim;
+
+/**
+ * Active (not muted) members of the current group chat.
+ * @returns {Array<{avatar: string, chid: number, name: string}>} Empty outside group chats
+ */
+function getGroupMembers() {
+    const context = SillyTavern.getContext();
+    if (!context.groupId) return [];
+    const group = context.groups?.find(g => g.id === context.groupId);
+    if (!group) return [];
+    return (group.members || [])
+        .filter(avatar => !group.disabled_members?.includes(avatar))
+        .map(avatar => {
+            const chid = context.characters.findIndex(c => c.avatar === avatar);
+            return chid === -1 ? null : { avatar, chid, name: context.characters[chid].name };
+        })
+        .filter(Boolean);
+}
+
+function findGroupMember(name) {
+    const wanted = name.trim().toLowerCase();
+    const members = getGroupMembers();
+    return members.find(m => m.name.toLowerCase() === wanted)
+        || members.find(m => m.name.toLowerCase().includes(wanted) || wanted.includes(m.name.toLowerCase()))
+        || null;
+}
+
+function isGroupSpeakerMode(settings) {
+    if (!settings.groupPickSpeaker || getGroupMembers().length === 0) return false;
+    const blocks = getCurrentPreset(settings)?.prompt_manager?.blocks || [];
+    return blocks.some(b => b.id === 'group_members' && b.enabled);
+}
+
+/**
+ * Pull the director's "Next speaker: Name" line out of the direction.
+ * @returns {{text: string, speaker: string}} Text without the line, and the last named speaker
+ */
+function extractNextSpeaker(text) {
+    let speaker = '';
+    const stripped = text.replace(NEXT_SPEAKER_REGEX, (match, name) => {
+        speaker = name.trim();
+        return '';
+    });
+    return { text: stripped.trim(), speaker };
+}
+
+function getMemberNotes(settings) {
+    const groupId = SillyTavern.getContext().groupId;
+    return groupId ? settings.groupMemberNotes?.[groupId] || {} : {};
+}
+
+/**
+ * Content of the group_members block: member list with notes, plus the
+ * next-speaker instruction when the director picks speakers.
+ */
+function buildGroupMembersText(settings) {
+    const members = getGroupMembers();
+    if (members.length === 0) return '';
+    const notes = getMemberNotes(settings);
+    const lines = members.map(m => {
+        const note = notes[m.avatar]?.trim();
+        return note ? `- ${m.name}: ${note}` : `- ${m.name}`;
+    });
+    let text = `This is a group chat. Members:\n${lines.join('\n')}`;
+    if (settings.groupPickSpeaker) {
+        text += settings.structuredOutput
+            ? '\n\nDecide which member should speak next and put their name in "next_speaker".'
+            : '\n\nDecide which member should speak next and end your response with a separate line: Next speaker: <member name>';
+    }
+    return text;
+}
+
+function shouldInjectOutlineToLLM(settings) {
+    if (!settings.outlineEnabled) return false;
+    if (!getOutlineText(settings).trim()) return false;
+
+    const currentRound = settings.currentRound || 0;
+    const maxRounds = settings.outlinePromptRounds || 999;
+
+    return currentRound <= maxRounds;
+}
+
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+
+function resolveBlockRole(block) {
+    return MESSAGE_ROLES.includes(block.role) ? block.role : 'user';
+}
+
+function wrapWithTag(block, content) {
+    if (block.tagName && block.tagName.trim()) {
+        const tagName = block.tagName.trim();
+        return `<${tagName}>\n${content}\n</${tagName}>`;
+    }
+    return content;
+}
+
+/**
+ * Assemble the director prompt from the enabled prompt-manager blocks.
+ * In token-budget mode the chat history gets whatever the other blocks leave of
+ * the budget, filled newest to oldest.
+ * @param {object} settings - Extension settings
+ * @param {object} [report] - Filled with the chat index where the history window starts
+ *   and, in token-budget mode, the per-block token budget
+ * @param {object} [opts]
+ * @param {string} [opts.extraInstruction] - Appended to the instruction block (or sent as a
+ *   last user message when that block is disabled)
+ * @returns {Promise<Array<{role: string, content: string}>>}
+ */
+async function buildMessages(settings, report = null, { extraInstruction = '' } = {}) {
+    const context = SillyTavern.getContext();
+    const chat = context.chat || [];
+    const preset = getCurrentPreset(settings);
+    const pmConfig = preset?.prompt_manager || getDefaultPromptManagerConfig();
+    const separate = pmConfig.messageLayout === 'separate';
+    // Separate layout + role mode: chat history becomes real alternating turns.
+    const historyAsTurns = separate && pmConfig.chatHistoryMode !== 'text';
+
+    // First pass: content of every enabled block except chat history
+    const entries = [];
+    const macroValues = getDirectorMacroValues(settings);
+
+    for (const block of pmConfig.blocks) {
+        if (!block.enabled) continue;
+
+        if (block.id === 'chat_history') {
+            entries.push({ block, history: true });
+            continue;
+        }
+
+        let blockContent = '';
+
+        // Get actual content for each block
+        switch (block.id) {
+            case 'system_prompt':
+                blockContent = preset?.system_prompt || '';
+                break;
+
+            case 'plot_outline':
+                if (shouldInjectOutlineToLLM(settings)) {
+                    blockContent = getOutlineText(settings);
+                }
+                break;
+
+            case 'story_summary':
+                blockContent = getStorySummary()?.text || '';
+                break;
+
+            case 'story_variables':
+                blockContent = buildStoryVariablesText(settings);
+                break;
+
+            case 'group_members':
+                blockContent = buildGroupMembersText(settings);
+                break;
+
+            case 'instruction':
+                blockContent = block.content || '';
+                if (extraInstruction) {
+                    blockContent = blockContent.trim() ? `${blockContent}\n\n${extraInstruction}` : extraInstruction;
+                }
+                break;
+
+            default:
+                // Custom blocks
+                if (block.type === 'custom') {
+                    blockContent = block.content || '';
+                } else {
+                    blockContent = getContextBlockContent(block.id) || '';
+                }
+                break;
+        }
+
+        // Generated summary and stored variables are sent as is
+        if (block.id !== 'story_summary' && block.id !== 'story_variables') {
+            blockContent = expandMacros(blockContent, settings, macroValues);
+        }
+
+        // Skip empty content
+        if (!blockContent.trim()) continue;
+
+        entries.push({
+            block,
+            message: {
+                role: resolveBlockRole(block),
+                content: wrapWithTag(block, blockContent),
+            },
+        });
+    }
+
+    if (extraInstruction && !entries.some(e => e.block.id === 'instruction')) {
+        entries.push({
+            block: { id: 'extra_instruction', label: 'Extra Instruction', role: 'user' },
+            message: { role: 'user', content: extraInstruction },
+        });
+    }
+
+    // Pick the chat history: fixed message count, or whatever fits the token budget
+    let history = [];
+    let historyFirst = null;
+    if (entries.some(e => e.history)) {
+        if (settings.contextMode === 'tokens') {
+            const tokenizer = context.getTokenCountAsync;
+            const budget = settings.contextTokenBudget || 4000;
+            let used = 0;
+            for (const entry of entries) {
+                if (!entry.message) continue;
+                entry.tokens = await countTokens(entry.message.content, tokenizer) + MESSAGE_OVERHEAD_TOKENS;
+                used += entry.tokens;
+            }
+            const historyEntry = entries.find(e => e.history);
+            const available = chat.filter(msg => !(msg.is_system && !msg.is_user));
+            // History rules run before counting, so the budget measures the text actually sent
+            const filtered = applyHistoryRegex(available, settings.regexRules);
+            const mode = historyAsTurns ? 'turns' : pmConfig.chatHistoryMode;
+            const { selected, tokens } = await selectHistoryByBudget(filtered, Math.max(0, budget - used), mode, tokenizer);
+            history = selected;
+            historyFirst = selected.length > 0 ? available[filtered.indexOf(selected[0])] : null;
+            historyEntry.tokens = tokens;
+            historyEntry.available = available.length;
+
+            if (selected.length === 0 && available.length > 0) {
+                log(`Token budget (${budget}) leaves no room for chat history.`, 'WARN');
+            }
+            if (report) {
+                report.budget = budget;
+                report.total = used + tokens;
+                report.blocks = entries.map(e => ({
+                    label: e.block.label || e.block.id,
+                    tokens: e.tokens,
+                    ...(e.history ? { messages: selected.length, available: available.length } : {}),
+                }));
+            }
+        } else {
+            const recent = getRecentChatMessages(chat, settings);
+            history = applyHistoryRegex(recent, settings.regexRules);
+            historyFirst = recent[0] || null;
+        }
+        if (report) {
+            report.historyStart = historyFirst ? chat.indexOf(historyFirst) : chat.length;
+        }
+    }
+
+    // One entry per enabled block (chat history may expand into several turns)
+    const parts = [];
+
+    for (const entry of entries) {
+        if (!entry.history) {
+            parts.push(entry.message);
+            continue;
+        }
+        // Tag wrapping does not apply to turns since the history spans several messages.
+        if (historyAsTurns) {
+            parts.push(...toChatHistoryTurns(history));
+            continue;
+        }
+        const historyText = formatChatHistory(history, pmConfig.chatHistoryMode);
+        if (!historyText) continue;
+        parts.push({
+            role: resolveBlockRole(entry.block),
+            content: wrapWithTag(entry.block, historyText),
+        });
+    }
+
+    if (separate) {
+        return parts;
+    }
+
+    // Merged layout: all content goes into a single user message
+    const mergedContent = parts.map(p => p.content).join('\n\n');
+
+    return [
+        {
+            role: 'user',
+            content: mergedContent
+        }
+    ];
+}
+
+/**
+ * Compile the enabled rules of one stage, skipping (and logging) invalid patterns.
+ * @param {Array} rules - Regex rules
+ * @param {string} stage - 'history', 'input', 'output' or 'final'
+ * @returns {Array<{regex: RegExp, replacement: string, label: string, scope: string}>}
+ */
+function compileRegexRules(rules, stage) {
+    const activeRules = (rules || []).filter(r => r.enabled && r.pattern && (r.stage || 'input') === stage);
+    const compiled = [];
+    for (const rule of activeRules) {
+        try {
+            compiled.push({
+                regex: new RegExp(rule.pattern, rule.flags || 'g'),
+                replacement: rule.replacement || '',
+                label: rule.label || rule.pattern,
+                scope: rule.scope || 'all',
+            });
+        } catch (e) {
+            log(`Invalid regex "${rule.pattern}" (${rule.label || 'unnamed'}): ${e.message}. Skipping.`, 'WARN');
+        }
+    }
+    return compiled;
+}
+
+function replaceWithRules(text, compiled) {
+    let result = text;
+    for (const { regex, replacement } of compiled) {
+        result = result.replace(regex, replacement);
+    }
+    return result;
+}
+
+/**
+ * Apply 'input' stage rules to the assembled messages.
+ */
+function applyRegexRules(messages, rules) {
+    const compiled = compileRegexRules(rules, 'input');
+    if (compiled.length === 0) return messages;
+
+    return messages.map(m => {
+        const content = replaceWithRules(m.content, compiled);
+        return content !== m.content ? { ...m, content } : m;
+    });
+}
+
+/**
+ * Apply 'history' stage rules to chat messages before they are formatted,
+ * honoring each rule's user/AI scope. Changed messages are copied, never mutated.
+ */
+function applyHistoryRegex(messages, rules) {
+    const compiled = compileRegexRules(rules, 'history');
+    if (compiled.length === 0) return messages;
+
+    return messages.map(msg => {
+        const scope = msg.is_user ? 'user' : 'ai';
+        const applicable = compiled.filter(c => c.scope === 'all' || c.scope === scope);
+        if (applicable.length === 0) return msg;
+        const mes = replaceWithRules(msg.mes || '', applicable);
+        return mes !== msg.mes ? { ...msg, mes } : msg;
+    });
+}
+
+/**
+ * Apply 'output' or 'final' stage rules to a direction text.
+ */
+function applyTextRegex(text, rules, stage) {
+    const compiled = compileRegexRules(rules, stage);
+    if (compiled.length === 0) return text;
+    return replaceWithRules(text, compiled);
+}
+
+/**
+ * Ordered list of API configs to try: the active settings first,
+ * then each saved config named in the fallback chain.
+ */
+function getApiConfigChain(settings) {
+    const chain = [{ name: settings.selectedApiConfig || '(current)', config: settings }];
+    for (const name of settings.fallbackChain || []) {
+        if (name === settings.selectedApiConfig) continue;
+        const saved = settings.apiConfigs?.[name];
+        if (!saved) {
+            log(`Fallback API config "${name}" not found, skipping.`, 'WARN');
+            continue;
+        }
+        // Sampling overrides (pacing, critique) apply to every config in the chain
+        chain.push({ name, config: { ...settings, ...saved, ...settings.chainSampling } });
+    }
+    return chain;
+}
+
+/**
+ * Settings with sampling values (temperature, maxTokens) for every config in the
+ * fallback chain, not only the primary one: saved fallback configs bring their
+ * own values, so they are reapplied on top of those.
+ */
+function withChainSampling(settings, sampling) {
+    return { ...settings, ...sampling, chainSampling: { ...settings.chainSampling, ...sampling } };
+}
+
+/**
+ * Delay before the next retry, or null when the server asks us to wait
+ * longer than retryMaxDelay (better to fail over than to stall).
+ */
+function getRetryDelayMs(error, attempt, settings) {
+    const maxMs = (settings.retryMaxDelay || 60) * 1000;
+    if (error.retryAfterMs != null) {
+        return error.retryAfterMs <= maxMs ? error.retryAfterMs : null;
+    }
+    const baseMs = (settings.retryBaseDelay || 2) * 1000;
+    const backoff = baseMs * 2 ** attempt;
+    const jitter = Math.random() * baseMs * 0.25;
+    return Math.min(backoff + jitter, maxMs);
+}
+
+async function generateWithFallback(messages, settings, options) {
+    const context = SillyTavern.getContext();
+    const chain = getApiConfigChain(settings);
+    const maxRetries = Math.max(0, settings.retryCount ?? 0);
+    const toolCache = options.onToolCall ? createToolCallCache(options.onToolCall) : null;
+    let lastError = null;
+
+    for (const { name, config } of chain) {
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            log(`Attempt ${attempt + 1}/${maxRetries + 1} via "${name}" (${config.model || 'no model'})...`);
+            options.onAttempt?.();
+            try {
+                const callOptions = { ...options, streaming: config.streaming };
+                if (toolCache) {
+                    toolCache.nextAttempt();
+                    callOptions.onToolCall = toolCache.onToolCall;
+                }
+                const result = config.connectionMode === 'proxy'
+                    ? await generateViaProxy(messages, config, context.getRequestHeaders, callOptions)
+                    : await generateDirect(messages, config, callOptions);
+                log(`Director LLM answered via "${name}".`);
+                options.onAnswer?.(name, config);
+                return result;
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                lastError = error;
+                log(`Attempt ${attempt + 1} via "${name}" failed: ${error.message}`, 'WARN');
+
+                if (!isRetryableError(error) || attempt >= maxRetries) break;
+
+                const waitMs = getRetryDelayMs(error, attempt, settings);
+                if (waitMs === null) {
+                    log(`Retry-After of "${name}" exceeds max delay, failing over.`, 'WARN');
+                    break;
+                }
+                log(`Retrying "${name}" in ${(waitMs / 1000).toFixed(1)}s...`);
+                await abortableDelay(waitMs, options.signal);
+            }
+        }
+        if (chain.length > 1) {
+            log(`API config "${name}" exhausted.`, 'WARN');
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Request several candidate directions: one request with the `n` parameter where the
+ * primary API config supports it, otherwise parallel requests through the fallback chain.
+ * Only the first parallel request streams into the output area; every one may call tools.
+ * @returns {Promise<string[]>} Non-empty candidates (at least one entry)
+ */
+async function generateCandidates(messages, settings, count, options) {
+    const primary = getApiConfigChain(settings)[0];
+    // The n parameter has no tool loop, so tool calling goes through separate requests
+    const usesTools = !!options.tools?.length && supportsDirectorTools(settings);
+    let candidates = [];
+    if (primary && supportsChoiceCount(primary.config) && !usesTools) {
+        try {
+            log(`Requesting ${count} candidates via "${primary.name}" (n=${count})...`);
+            candidates = await generateDirectChoices(messages, primary.config, count, {
+                signal: options.signal,
+                jsonSchema: options.jsonSchema,
+            });
+            options.onAnswer?.(primary.name, primary.config);
+            log(`Received ${candidates.length}/${count} candidates.`);
+            if (candidates.length >= count) return candidates.slice(0, count);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            log(`n=${count} request failed (${error.message}), falling back to parallel requests.`, 'WARN');
+        }
+    }
+
+    // Providers that ignore n return a single choice: top up the rest
+    const missing = count - candidates.length;
+    log(candidates.length > 0
+        ? `Requesting the ${missing} missing candidates in parallel...`
+        : `Requesting ${count} candidates in parallel...`);
+    const { signal, jsonSchema, tools, onToolCall } = options;
+    const results = await Promise.allSettled(Array.from({ length: missing }, (_, i) =>
+        generateWithFallback(messages, settings,
+            i === 0 && candidates.length === 0 ? options : { signal, jsonSchema, tools, onToolCall })));
+
+    const aborted = results.find(r => r.status === 'rejected' && r.reason?.name === 'AbortError');
+    if (aborted) throw aborted.reason;
+
+    candidates = candidates.concat(results
+        .filter(r => r.status === 'fulfilled' && r.value?.trim())
+        .map(r => r.value));
+    const failed = results.filter(r => r.status === 'rejected');
+    if (candidates.length === 0 && failed.length > 0) throw failed[0].reason;
+    if (failed.length > 0) {
+        log(`${failed.length}/${missing} candidate requests failed.`, 'WARN');
+    }
+    log(`Received ${candidates.length}/${count} candidates.`);
+    return candidates.length > 0 ? candidates : [''];
+}
+
+/**
+ * @param {object} settings - Extension settings
+ * @param {AbortSignal} signal - Abort signal
+ * @param {object} [trace] - Filled with the assembled messages, the settings used for the call,
+ *   the answering config, timing, the pacing phase and preset used and, when several were
+ *   requested, the raw candidates
+ * @param {object} [opts]
+ * @param {number} [opts.candidates] - Number of candidate directions to request
+ * @param {string} [opts.extraInstruction] - Extra text for the instruction block
+ */
+async function callDirectorLLM(settings, signal, trace = {}, { candidates = 1, extraInstruction = '' } = {}) {
+    settings = applyPacing(settings, trace);
+    trace.callSettings = settings;
+
+    let report = {};
+    let messages = await buildMessages(settings, report, { extraInstruction });
+
+    // Fold messages that left the window into the story summary, then rebuild with it
+    if (await updateStorySummary(settings, report.historyStart, signal)) {
+        report = {};
+        messages = await buildMessages(settings, report, { extraInstruction });
+    }
+
+    messages = applyRegexRules(messages, settings.regexRules);
+    if (settings.structuredOutput) {
+        messages.push({ role: 'system', content: buildStructuredInstruction() });
+    }
+
+    showInputLog(messages, report);
+    trace.messages = messages;
+
+    // 启动生成状态更新
+    const startTime = Date.now();
+    clearStatusInterval();
+    statusUpdateInterval = setInterval(() => {
+        const elapsed = Math.floor((Date.now() - startTime) / 1000);
+        updateGeneratingStatus('🤖 导演 LLM 生成中...', elapsed);
+    }, 1000);
+
+    try {
+        const outputEl = document.getElementById('st_pd_llm_output');
+        if (settings.directorTools && !supportsDirectorTools(settings)) {
+            log(`Director tools need Direct Request mode with OpenAI or Claude, not ${settings.connectionMode}/${settings.apiType}.`, 'WARN');
+        }
+        const options = {
+            signal,
+            jsonSchema: getOutputSchema(settings),
+            tools: settings.directorTools ? DIRECTOR_TOOLS : undefined,
+            onToolCall: async (name, args) => {
+                let result;
+                try {
+                    result = await executeDirectorTool(name, args);
+                } catch (error) {
+                    result = `Error: ${error.message}`;
+                }
+                const argsText = JSON.stringify(args);
+                log(`Tool call: ${name}(${argsText})`);
+                appendInputLog(`=== Tool call: ${name} ===\nArguments: ${argsText}\nResult:\n${result.substring(0, TOOL_LOG_PREVIEW_CHARS)}`);
+                (trace.toolCalls ||= []).push({ name, args, result });
+                return result;
+            },
+            onToken: (token) => {
+                if (outputEl) outputEl.value += token;
+            },
+            // Clear output area before each (streaming) attempt
+            onAttempt: () => {
+                if (outputEl) outputEl.value = '';
+            },
+            onAnswer: (name, config) => {
+                trace.apiConfig = name;
+                trace.model = config.model;
+            },
+        };
+
+        let result;
+        if (candidates > 1) {
+            trace.candidates = await generateCandidates(messages, settings, candidates, options);
+            result = trace.candidates[0];
+        } else {
+            result = await generateWithFallback(messages, settings, options);
+        }
+        trace.llmMs = Date.now() - startTime;
+        clearStatusInterval();
+        return result;
+    } catch (error) {
+        clearStatusInterval();
+        throw error;
+    }
+}
+
+// extension_prompt_types.IN_CHAT / extension_prompt_roles in ST
+const EXTENSION_PROMPT_IN_CHAT = 1;
+const EXTENSION_PROMPT_ROLES = { system: 0, user: 1, assistant: 2 };
+const HIDDEN_MESSAGE_CLASS = 'st-pd-hidden-message';
+
+let injectedPromptActive = false;
+
+async function sendAsUserAndGenerate(text, generateParams = {}) {
+    const context = SillyTavern.getContext();
+    const message = {
+        name: context.name1,
+        is_user: true,
+        is_system: false,
+        send_date: new Date().toISOString(),
+        mes: text,
+    };
+
+    context.chat.push(message);
+    context.addOneMessage(message);
+    await context.saveChat();
+    await context.generate('normal', { automatic_trigger: true, ...generateParams });
+}
+
+/**
+ * Visible narrator/system message (like /sys); sent to the model with the system role.
+ */
+async function sendAsNarratorAndGenerate(text, generateParams = {}) {
+    const context = SillyTavern.getContext();
+    const message = {
+        name: 'System',
+        is_user: false,
+        is_system: false,
+        send_date: new Date().toISOString(),
+        mes: text,
+        force_avatar: 'img/five.png',
+        extra: { type: 'narrator' },
+    };
+
+    context.chat.push(message);
+    context.addOneMessage(message);
+    await context.saveChat();
+    await context.generate('normal', { automatic_trigger: true, ...generateParams });
+}
+
+/**
+ * User message that stays in the prompt but is hidden in the chat view.
+ */
+async function sendAsHiddenAndGenerate(text, generateParams = {}) {
+    const context = SillyTavern.getContext();
+    const message = {
+        name: context.name1,
+        is_user: true,
+        is_system: false,
+        send_date: new Date().toISOString(),
+        mes: text,
+        extra: { pd_hidden_direction: true },
+    };
+
+    context.chat.push(message);
+    context.addOneMessage(message);
+    hideDirectionMessages();
+    await context.saveChat();
+    await context.generate('normal', { automatic_trigger: true, ...generateParams });
+}
+
+/**
+ * One-shot in-chat extension prompt (author's-note style), cleared when the
+ * generation ends.
+ */
+async function injectAndGenerate(text, settings, generateParams = {}) {
+    const context = SillyTavern.getContext();
+    const role = EXTENSION_PROMPT_ROLES[settings.injectRole] ?? EXTENSION_PROMPT_ROLES.system;
+    context.setExtensionPrompt(MODULE_NAME, text, EXTENSION_PROMPT_IN_CHAT, settings.injectDepth || 0, false, role);
+    injectedPromptActive = true;
+    await context.generate('normal', { automatic_trigger: true, ...generateParams });
+}
+
+/**
+ * Appended as the quiet prompt, which ST places as the final system instruction.
+ */
+async function quietAppendAndGenerate(text, generateParams = {}) {
+    const context = SillyTavern.getContext();
+    await context.generate('normal', { automatic_trigger: true, ...generateParams, quiet_prompt: text });
+}
+
+function clearInjectedPrompt() {
+    if (!injectedPromptActive) return;
+    const context = SillyTavern.getContext();
+    context.setExtensionPrompt(MODULE_NAME, '', EXTENSION_PROMPT_IN_CHAT, 0);
+    injectedPromptActive = false;
+}
+
+function hideDirectionMessages() {
+    const context = SillyTavern.getContext();
+    const chat = context.chat || [];
+    chat.forEach((msg, i) => {
+        if (!msg.extra?.pd_hidden_direction) return;
+        document.querySelector(`#chat .mes[mesid="${i}"]`)?.classList.add(HIDDEN_MESSAGE_CLASS);
+    });
+}
+
+/**
+ * @param {string} text - Direction text
+ * @param {object} settings - Extension settings
+ * @param {string} [speaker] - Group member who should reply (group chats only)
+ */
+async function deliverDirection(text, settings, speaker = '') {
+    const generateParams = {};
+    const member = speaker ? findGroupMember(speaker) : null;
+    if (member) {
+        // ST's group generation only activates the forced character
+        generateParams.force_chid = member.chid;
+        log(`Next speaker: ${member.name}.`);
+    } else if (speaker) {
+        log(`Next speaker "${speaker}" is not an active group member, letting ST choose.`, 'WARN');
+    }
+
+    switch (settings.deliveryMode) {
+        case 'inject':
+            return injectAndGenerate(text, settings, generateParams);
+        case 'narrator':
+            return sendAsNarratorAndGenerate(text, generateParams);
+        case 'hidden':
+            return sendAsHiddenAndGenerate(text, generateParams);
+        case 'quiet':
+            return quietAppendAndGenerate(text, generateParams);
+        default:
+            return sendAsUserAndGenerate(text, generateParams);
+    }
+}
+
+/**
+ * Show the direction(s) for confirmation.
+ * With several candidates they are shown side by side; each can be edited or regenerated,
+ * and the selected one is sent.
+ * @param {Array<{raw: string, text: string, endReason: string}>} candidates - Prepared directions
+ * @param {Function} [onRegenerate] - Async function returning a new prepared candidate
+ * @returns {Promise<{candidate: object, text: string}|null>} Chosen candidate and its (edited) text, or null when skipped
+ */
+async function showPreviewPopup(candidates, onRegenerate) {
+    const context = SillyTavern.getContext();
+    const container = document.createElement('div');
+    const label = document.createElement('p');
+    let selected = 0;
+
+    if (candidates.length === 1) {
+        label.innerHTML = '<b>Plot Director</b> generated the following direction:';
+        const textarea = document.createElement('textarea');
+        textarea.className = 'st-pd-preview-content text_pole';
+        textarea.value = candidates[0].text;
+        container.appendChild(label);
+        container.appendChild(textarea);
+    } else {
+        label.innerHTML = `<b>Plot Director</b> generated ${candidates.length} candidate directions. Pick one to send:`;
+        container.appendChild(label);
+        const grid = document.createElement('div');
+        grid.className = 'st-pd-candidate-grid';
+        candidates.forEach((candidate, index) => {
+            const card = document.createElement('div');
+            card.className = `st-pd-candidate${index === selected ? ' selected' : ''}`;
+            card.innerHTML = `
+                <div class="st-pd-candidate-header">
+                    <label><input type="radio" name="st_pd_candidate" value="${index}" ${index === selected ? 'checked' : ''} /> #${index + 1}</label>
+                    <div class="menu_button st-pd-candidate-regen" title="Regenerate this candidate"><i class="fa-solid fa-rotate"></i></div>
+                </div>
+                <textarea class="st-pd-preview-content text_pole"></textarea>
+            `;
+            card.querySelector('textarea').value = candidate.text;
+            card.querySelector('input').addEventListener('change', () => {
+                selected = index;
+                grid.querySelectorAll('.st-pd-candidate').forEach((el, i) => el.classList.toggle('selected', i === index));
+            });
+
+            const regenBtn = card.querySelector('.st-pd-candidate-regen');
+            if (!onRegenerate) regenBtn.classList.add('st-pd-hidden');
+            regenBtn.addEventListener('click', async () => {
+                if (regenBtn.classList.contains('disabled')) return;
+                regenBtn.classList.add('disabled');
+                regenBtn.querySelector('i').classList.add('fa-spin');
+                try {
+                    const fresh = await onRegenerate();
+                    candidates[index] = fresh;
+                    card.querySelector('textarea').value = fresh.text;
+                    log(`Candidate #${index + 1} regenerated.`);
+                } catch (err) {
+                    if (err.name !== 'AbortError') handleError(err, 'Plot Director');
+                } finally {
+                    regenBtn.classList.remove('disabled');
+                    regenBtn.querySelector('i').classList.remove('fa-spin');
+                }
+            });
+            grid.appendChild(card);
+        });
+        container.appendChild(grid);
+    }
+
+    const popup = new context.Popup(container, context.POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Send',
+        cancelButton: 'Skip',
+        wide: true,
+        large: candidates.length > 2,
+    });
+
+    let result;
+    activePreviewPopup = popup;
+    try {
+        result = await popup.show();
+    } finally {
+        activePreviewPopup = null;
+    }
+
+    if (result === context.Popup.RESULT?.AFFIRMATIVE || result === 1) {
+        const areas = popup.dlg?.querySelectorAll('.st-pd-preview-content');
+        const ta = areas?.[selected];
+        const candidate = candidates[selected];
+        return { candidate, text: ta ? ta.value : candidate.text };
+    }
+
+    return null;
+}
+
+function escapeHtml(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
+
+async function onGenerationEnded() {
+    const settings = getSettings();
+    lastReplyEndedAt = Date.now();
+
+    // Injected directions only apply to the generation they were made for
+    clearInjectedPrompt();
+
+    if (!settings.enabled || !settings.running) {
+        return;
+    }
+
+    if (isProcessing) {
+        if (oneShotActive) {
+            roundDeferred = true;
+            log('Round deferred until /pd-generate finishes.');
+            return;
+        }
+        log('Skipped: already processing a direction.');
+        return;
+    }
+
+    await continueAfterReply(settings);
+}
+
+/**
+ * Check the reply stop conditions, then start the next round.
+ */
+async function continueAfterReply(settings) {
+    if (!settings.enabled || !settings.running) {
+        return;
+    }
+
+    const stopReason = await checkReplyStopConditions(settings);
+    if (stopReason) {
+        endRunByCondition(settings, stopReason);
+        return;
+    }
+
+    if (settings.currentRound >= settings.rounds) {
+        return;
+    }
+
+    await runDirectorRound();
+}
+
+async function runDirectorRound() {
+    const settings = getSettings();
+
+    if (!settings.running || isProcessing) return;
+    if (settings.currentRound >= settings.rounds) {
+        stopDirector(settings);
+        return;
+    }
+
+    if (currentAbortController) {
+        currentAbortController.abort();
+    }
+    currentAbortController = new AbortController();
+
+    isProcessing = true;
+    skipRequested = false;
+
+    const roundStart = Date.now();
+    const chatId = SillyTavern.getContext().getCurrentChatId?.();
+    const trace = {};
+
+    try {
+        settings.currentRound++;
+        log(`Round ${settings.currentRound}/${settings.rounds} - Starting...`);
+        updateStatusUI(settings);
+        saveSettings();
+
+        // Wait for other extensions (e.g. chatu8 image tags) to finish with the reply
+        const waitSince = lastReplyEndedAt ?? roundStart;
+        lastReplyEndedAt = null;
+        await runWaitConditions(settings, currentAbortController.signal, waitSince);
+
+        if (!settings.running) {
+            log('Director stopped before LLM call, skipping this round.');
+            return;
+        }
+
+        if (skipRequested) {
+            finishSkippedRound(settings);
+            return;
+        }
+
+        await updateBeatProgress(settings, currentAbortController.signal);
+
+        if (settings.stopOnOutlineComplete && settings.outlineEnabled
+            && settings.outlineMode === 'beats' && isOutlineComplete(settings)) {
+            endRunByCondition(settings, 'final outline beat completed', true);
+            return;
+        }
+
+        log('Calling director LLM...');
+        const candidateCount = settings.mode === 'preview'
+            ? Math.max(1, Math.min(5, settings.previewCandidates || 1))
+            : 1;
+        const signal = currentAbortController.signal;
+        const direction = await callDirectorLLM(settings, signal, trace, { candidates: candidateCount });
+        let prepared = direction?.trim() ? await prepareRawDirection(settings, direction, signal) : null;
+
+        const repeatReason = trackRepeatedDirection(settings, prepared?.source ?? direction);
+        if (repeatReason) {
+            endRunByCondition(settings, repeatReason, true);
+            return;
+        }
+
+        if (!direction || !direction.trim()) {
+            log('Director LLM returned empty response. Skipping this round.', 'WARN');
+            toastr.warning('Director LLM returned empty response.');
+            isProcessing = false;
+            updateStatusUI(settings);
+            return;
+        }
+
+        log(`Director LLM responded (${direction.trim().length} chars).`);
+        showLLMOutput(direction.trim());
+
+        if (!prepared) {
+            log('Director output is not valid structured JSON. Skipping this round.', 'WARN');
+            toastr.warning('Director output is not valid structured JSON.');
+            isProcessing = false;
+            updateStatusUI(settings);
+            return;
+        }
+        if (prepared.endReason && !prepared.text) {
+            endRunByCondition(settings, prepared.endReason, true);
+            return;
+        }
+        if (!prepared.text) {
+            log('Direction is empty after regex filters. Skipping this round.', 'WARN');
+            toastr.warning('Direction is empty after regex filters.');
+            isProcessing = false;
+            updateStatusUI(settings);
+            return;
+        }
+
+        if (settings.repetitionGuard && trace.candidates) {
+            log('Repetition guard does not run with multiple candidates; pick a varied one in the preview.');
+        } else if (settings.repetitionGuard && !prepared.endReason) {
+            prepared = await guardAgainstRepetition(settings, prepared, trace, signal);
+        }
+        if (settings.critiqueEnabled && trace.candidates) {
+            log('Self-critique does not run with multiple candidates; the preview choice replaces it.');
+        } else if (settings.critiqueEnabled && !prepared.endReason) {
+            prepared = await runCritiquePass(settings, prepared, trace, signal);
+        }
+        let finalText = prepared.text;
+
+        const record = {
+            round: settings.currentRound,
+            rounds: settings.rounds,
+            preset: trace.preset || settings.selectedPreset,
+            phase: trace.phase,
+            apiConfig: trace.apiConfig,
+            model: trace.model,
+            input: trace.messages,
+            rawOutput: prepared.raw,
+            candidates: trace.candidates,
+            critique: trace.critique,
+            similarity: trace.similarity,
+            toolCalls: trace.toolCalls,
+            finalText,
+            nextSpeaker: prepared.speaker || undefined,
+            mood: prepared.mood || undefined,
+            edited: false,
+            deliveryMode: settings.deliveryMode || 'user',
+            status: 'sent',
+            timestamp: new Date(roundStart).toISOString(),
+            llmMs: trace.llmMs,
+            totalMs: 0,
+        };
+
+        if (settings.mode === 'preview') {
+            log('Preview mode: waiting for user confirmation...');
+            const candidates = trace.candidates
+                ? (await Promise.all(trace.candidates.map(raw => (raw === direction
+                    ? prepared
+                    : prepareRawDirection(settings, raw, signal, { quiet: true }))))).filter(Boolean)
+                : [prepared];
+            const regenerate = trace.candidates
+                ? async () => {
+                    const raw = await generateWithFallback(trace.messages, trace.callSettings || settings, {
+                        signal: currentAbortController?.signal,
+                        jsonSchema: getOutputSchema(settings),
+                    });
+                    const fresh = await prepareRawDirection(settings, raw, signal, { quiet: true });
+                    if (!fresh) throw new Error('Regenerated direction is not valid structured JSON');
+                    return fresh;
+                }
+                : null;
+            const choice = await showPreviewPopup(candidates, regenerate);
+            if (choice === null) {
+                log('User skipped this round.');
+                record.status = 'skipped';
+                record.totalMs = Date.now() - roundStart;
+                await saveDirectionRecord(record, chatId);
+                saveRunState(settings);
+                isProcessing = false;
+                updateStatusUI(settings);
+                if (settings.currentRound >= settings.rounds) {
+                    stopDirector(settings);
+                }
+                return;
+            }
+            if (choice.candidate !== prepared) {
+                prepared = choice.candidate;
+                record.rawOutput = prepared.raw;
+                record.nextSpeaker = prepared.speaker || undefined;
+                record.mood = prepared.mood || undefined;
+                if (trace.candidates) {
+                    log(`Candidate #${candidates.indexOf(prepared) + 1} selected.`);
+                }
+            }
+            if (prepared.endReason && !choice.text.trim()) {
+                endRunByCondition(settings, prepared.endReason, true);
+                return;
+            }
+            record.edited = choice.text !== prepared.text;
+            finalText = choice.text;
+            record.finalText = finalText;
+        }
+
+        if (!settings.running) {
+            log('Director stopped before delivering direction, skipping send.');
+            return;
+        }
+
+        if (prepared.mood) {
+            log(`Mood: ${prepared.mood}`);
+        }
+        if (prepared.beatComplete && settings.outlineEnabled && settings.outlineMode === 'beats'
+            && getCurrentBeat(settings)) {
+            setBeatIndex(settings, (settings.outlineBeatIndex || 0) + 1, 'director reported beat complete');
+        }
+        if (Object.keys(prepared.variables).length > 0) {
+            updateStoryVariables(prepared.variables);
+            record.variables = prepared.variables;
+        }
+
+        log(`Delivering direction (${settings.deliveryMode || 'user'})...`);
+        const endReason = prepared.endReason;
+        const isLastRound = settings.currentRound >= settings.rounds || !!endReason;
+        if (endReason) {
+            log(`Stop condition met: ${endReason}. This is the final round.`, 'WARN');
+        } else if (isLastRound) {
+            log(`All ${settings.rounds} rounds completed.`);
+        }
+
+        isProcessing = false;
+        updateStatusUI(settings);
+
+        if (isLastRound) {
+            stopDirector(settings);
+        }
+
+        record.totalMs = Date.now() - roundStart;
+        await saveDirectionRecord(record, chatId);
+        if (!isLastRound) {
+            saveRunState(settings);
+        }
+
+        await deliverDirection(finalText, settings, prepared.speaker);
+    } catch (err) {
+        if (err.name === 'AbortError' && skipRequested) {
+            finishSkippedRound(settings);
+            return;
+        }
+        if (err.name === 'AbortError') {
+            log('Director LLM request aborted.');
+        } else {
+            handleError(err, 'Plot Director');
+        }
+        isProcessing = false;
+        // Failed runs stay resumable from the failed round
+        stopDirector(settings, { keepRunState: err.name !== 'AbortError' });
+    } finally {
+        if (currentAbortController?.signal?.aborted) {
+            currentAbortController = null;
+        }
+    }
+}
+
+// ---- Direction History ----
+
+const MAX_HISTORY_RECORDS = 200;
+// Newest records that keep their full prompt; older ones drop it to keep chat files small
+const HISTORY_INPUT_RECORDS = 5;
+
+function getChatDirectorState() {
+    const context = SillyTavern.getContext();
+    const metadata = context.chatMetadata;
+    if (!metadata) return null;
+    if (!metadata[MODULE_NAME]) {
+        metadata[MODULE_NAME] = {};
+    }
+    return metadata[MODULE_NAME];
+}
+
+function getDirectionHistory() {
+    return getChatDirectorState()?.history || [];
+}
+
+/**
+ * Append a round record to the current chat's metadata.
+ * Skipped when the user switched chats during the round.
+ */
+async function saveDirectionRecord(record, chatId) {
+    const context = SillyTavern.getContext();
+    if (chatId && context.getCurrentChatId?.() !== chatId) {
+        log(`Chat changed during round ${record.round}, direction not saved to history.`, 'WARN');
+        return;
+    }
+    const state = getChatDirectorState();
+    if (!state) return;
+    if (!state.history) state.history = [];
+    state.history.push(record);
+    if (state.history.length > MAX_HISTORY_RECORDS) {
+        state.history.splice(0, state.history.length - MAX_HISTORY_RECORDS);
+    }
+    for (const old of state.history.slice(0, -HISTORY_INPUT_RECORDS)) {
+        if (!old.input) continue;
+        old.inputCount = old.input.length;
+        delete old.input;
+    }
+    try {
+        await context.saveMetadata();
+    } catch (err) {
+        log(`Failed to save direction history: ${err.message}`, 'WARN');
+    }
+    renderDirectionHistory();
+}
+
+function formatRecordInput(messages) {
+    return (messages || []).map(m => `[${m.role}]\n${m.content}`).join('\n\n');
+}
+
+function renderDirectionHistory() {
+    const container = document.getElementById('st_pd_history_list');
+    if (!container) return;
+
+    const history = getDirectionHistory();
+    const countEl = document.getElementById('st_pd_history_count');
+    if (countEl) countEl.textContent = `${history.length} record(s) in this chat`;
+
+    container.innerHTML = '';
+    if (history.length === 0) {
+        container.innerHTML = '<div style="opacity:0.5;padding:8px;">No directions recorded for this chat.</div>';
+        return;
+    }
+
+    // Newest first
+    for (let i = history.length - 1; i >= 0; i--) {
+        const record = history[i];
+        const itemEl = document.createElement('div');
+        itemEl.className = 'st-pd-history-item' + (record.status === 'skipped' ? ' skipped' : '');
+
+        const time = record.timestamp ? new Date(record.timestamp).toLocaleString() : '';
+        const meta = [
+            record.phase,
+            record.preset,
+            record.model,
+            record.apiConfig ? `via ${record.apiConfig}` : '',
+            record.mood ? `mood: ${record.mood}` : '',
+            record.similarity?.length ? `similarity ${record.similarity.map(s => `${Math.round(s * 100)}%`).join('→')}` : '',
+            record.critique?.length ? `critique ${record.critique.map(c => c.score).join('→')}` : '',
+            record.edited ? 'edited' : '',
+            record.status === 'skipped' ? 'skipped' : '',
+            record.llmMs ? `LLM ${(record.llmMs / 1000).toFixed(1)}s` : '',
+        ].filter(Boolean).join(' · ');
+        const preview = record.finalText?.length > 80 ? record.finalText.substring(0, 80) + '...' : (record.finalText || '');
+
+        itemEl.innerHTML = `
+            <div class="st-pd-history-header">
+                <span class="st-pd-history-round">R${record.round}/${record.rounds}</span>
+                <span class="st-pd-history-preview">${escapeHtml(preview)}</span>
+                <div class="st-pd-history-actions">
+                    <i class="fa-solid fa-copy st-pd-history-copy" title="Copy"></i>
+                    <i class="fa-solid fa-paper-plane st-pd-history-resend" title="Re-send"></i>
+                    <i class="fa-solid fa-chevron-down st-pd-history-expand" title="Expand/Collapse"></i>
+                </div>
+            </div>
+            <div class="st-pd-history-body st-pd-hidden">
+                <div class="st-pd-history-meta">${escapeHtml(time)}${meta ? ' · ' + escapeHtml(meta) : ''}</div>
+                <div class="st-pd-history-label">Sent</div>
+                <div class="st-pd-history-text">${escapeHtml(record.finalText || '')}</div>
+                <div class="st-pd-history-label">Raw Output</div>
+                <div class="st-pd-history-text">${escapeHtml(record.rawOutput || '')}</div>
+                ${record.input ? `
+                <details>
+                    <summary class="st-pd-history-label">Input (${record.input.length} messages)</summary>
+                    <div class="st-pd-history-text">${escapeHtml(formatRecordInput(record.input))}</div>
+                </details>` : `
+                <div class="st-pd-history-label">Input (${record.inputCount ?? 0} messages, only kept for the last ${HISTORY_INPUT_RECORDS} records)</div>`}
+            </div>
+        `;
+
+        itemEl.querySelector('.st-pd-history-expand')?.addEventListener('click', (e) => {
+            itemEl.querySelector('.st-pd-history-body').classList.toggle('st-pd-hidden');
+            e.target.classList.toggle('fa-chevron-down');
+            e.target.classList.toggle('fa-chevron-up');
+        });
+
+        itemEl.querySelector('.st-pd-history-copy')?.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(record.finalText || '');
+                toastr.success('Direction copied.');
+            } catch (err) {
+                toastr.error(`Copy failed: ${err.message}`);
+            }
+        });
+
+        itemEl.querySelector('.st-pd-history-resend')?.addEventListener('click', async () => {
+            const settings = getSettings();
+            if (isProcessing) {
+                toastr.warning('Plot Director is generating, try again later.');
+                return;
+            }
+            log(`Re-sending direction from round ${record.round} (${settings.deliveryMode || 'user'}).`);
+            try {
+                await deliverDirection(record.finalText || '', settings, record.nextSpeaker);
+            } catch (err) {
+                handleError(err, 'Re-send');
+            }
+        });
+
+        container.appendChild(itemEl);
+    }
+}
+
+function bindDirectionHistoryUI() {
+    document.getElementById('st_pd_history_export')?.addEventListener('click', () => {
+        const history = getDirectionHistory();
+        if (history.length === 0) {
+            toastr.info('No direction history to export.');
+            return;
+        }
+        const context = SillyTavern.getContext();
+        const chatId = context.getCurrentChatId?.() || 'chat';
+        const blob = new Blob([JSON.stringify(history, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `plot-director-history-${chatId}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+        log('Direction history exported.');
+    });
+
+    document.getElementById('st_pd_history_clear')?.addEventListener('click', async () => {
+        const context = SillyTavern.getContext();
+        const state = getChatDirectorState();
+        if (!state?.history?.length) return;
+        const confirmed = await context.callGenericPopup(
+            'Clear the direction history of this chat?',
+            context.POPUP_TYPE.CONFIRM,
+        );
+        if (confirmed !== 1 && confirmed !== true) return;
+        state.history = [];
+        await context.saveMetadata();
+        renderDirectionHistory();
+        toastr.info('Direction history cleared.');
+    });
+
+    renderDirectionHistory();
+}
+
+// ---- Outline Beats ----
+
+function setBeatIndex(settings, index, reason) {
+    const beats = settings.outlineBeats || [];
+    settings.outlineBeatIndex = Math.max(0, Math.min(index, beats.length));
+    settings.outlineBeatRounds = 0;
+    saveSettings();
+    log(`Outline: ${getBeatProgressLabel(settings)}${reason ? ` (${reason})` : ''}.`);
+    updateStatusUI(settings);
+    renderBeatList(settings);
+}
+
+/**
+ * Decide whether the current beat is complete before generating the next
+ * direction, then count this round against the (possibly new) beat.
+ * Runs only in beats mode; a beat needs at least one round before it is judged.
+ */
+async function updateBeatProgress(settings, signal) {
+    if (!settings.outlineEnabled || settings.outlineMode !== 'beats') return;
+    const beat = getCurrentBeat(settings);
+    if (!beat) return;
+
+    const beatRounds = settings.outlineBeatRounds || 0;
+    let reason = '';
+    if (beat.maxRounds > 0 && beatRounds >= beat.maxRounds) {
+        reason = `beat reached ${beat.maxRounds} rounds`;
+    } else if (settings.beatAdvanceMode === 'llm' && beatRounds > 0) {
+        try {
+            const chat = SillyTavern.getContext().chat || [];
+            const chatText = buildChatHistory(chat, settings, 'text');
+            const verdict = await generateWithFallback(
+                buildBeatCheckMessages(beat, chatText),
+                withChainSampling(settings, { temperature: 0 }),
+                { signal },
+            );
+            log(`Beat check for "${beat.title || 'untitled'}": ${verdict.trim().substring(0, 40)}`);
+            if (parseBeatVerdict(verdict)) {
+                reason = 'director LLM judged it complete';
+            }
+        } catch (err) {
+            if (err.name === 'AbortError') throw err;
+            log(`Beat check failed, staying on current beat: ${err.message}`, 'WARN');
+        }
+    }
+
+    if (reason) {
+        setBeatIndex(settings, (settings.outlineBeatIndex || 0) + 1, reason);
+    }
+    if (getCurrentBeat(settings)) {
+        settings.outlineBeatRounds = (settings.outlineBeatRounds || 0) + 1;
+        saveSettings();
+    }
+}
+
+// ---- Story Summary ----
+
+// Characters of chat text folded into the summary per LLM call
+const SUMMARY_CHUNK_CHARS = 12000;
+// Summary calls per round; a long backlog (first run on a long chat) catches up over later rounds
+const SUMMARY_MAX_CALLS = 3;
+
+function getStorySummary() {
+    return getChatDirectorState()?.summary || null;
+}
+
+function isStorySummaryEnabled(settings) {
+    const blocks = getCurrentPreset(settings)?.prompt_manager?.blocks || [];
+    return blocks.some(b => b.id === 'story_summary' && b.enabled);
+}
+
+function setStorySummary(summary) {
+    const state = getChatDirectorState();
+    if (!state) return;
+    state.summary = { ...summary, updatedAt: new Date().toISOString() };
+    const context = SillyTavern.getContext();
+    (context.saveMetadataDebounced || context.saveMetadata)?.();
+}
+
+// ---- Story Variables ----
+
+function getStoryVariables() {
+    return getChatDirectorState()?.variables || {};
+}
+
+function setStoryVariables(variables) {
+    const state = getChatDirectorState();
+    if (!state) return;
+    state.variables = variables;
+    const context = SillyTavern.getContext();
+    (context.saveMetadataDebounced || context.saveMetadata)?.();
+}
+
+function isStoryVariablesEnabled(settings) {
+    const blocks = getCurrentPreset(settings)?.prompt_manager?.blocks || [];
+    return blocks.some(b => b.id === 'story_variables' && b.enabled);
+}
+
+/**
+ * Apply the director's variable updates to the current chat.
+ * @param {object} updates - key → value ('' = remove)
+ */
+function updateStoryVariables(updates) {
+    setStoryVariables(applyVariableUpdates(getStoryVariables(), updates));
+    const changes = Object.entries(updates).map(([key, value]) => (value === '' ? `-${key}` : `${key}=${value}`));
+    log(`Story variables updated: ${changes.join(', ')}`);
+    renderPromptManager(getSettings());
+}
+
+/**
+ * Content of the story_variables block: the current values plus how to change them.
+ */
+function buildStoryVariablesText(settings) {
+    const current = formatStoryVariables(getStoryVariables()) || '(none yet)';
+    const howTo = settings.structuredOutput
+        ? 'To change the story state, put the changes in "variables".'
+        : 'To change the story state, add tags like [set tension: 7] to your response; they are removed before '
+            + 'the direction is sent. [set name:] with no value removes a variable.';
+    return `Current story state:\n${current}\n\n${howTo}`;
+}
+
+/**
+ * Fold chat messages that fell out of the director's context window into the
+ * rolling story summary.
+ * @param {object} settings - Extension settings
+ * @param {number|undefined} historyStart - Chat index of the oldest message still in the window
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<boolean>} Whether the summary changed
+ */
+async function updateStorySummary(settings, historyStart, signal) {
+    if (historyStart === undefined || !isStorySummaryEnabled(settings)) return false;
+
+    const chat = SillyTavern.getContext().chat || [];
+    const chatId = SillyTavern.getContext().getCurrentChatId?.();
+    const summary = getStorySummary() || { text: '', coveredUntil: 0 };
+    // Messages may have been deleted since the last update
+    const coveredUntil = Math.min(summary.coveredUntil || 0, chat.length);
+    if (historyStart <= coveredUntil) return false;
+
+    const indices = [];
+    for (let i = coveredUntil; i < historyStart; i++) {
+        const msg = chat[i];
+        if (!(msg.is_system && !msg.is_user) && msg.mes?.trim()) indices.push(i);
+    }
+    const lines = applyHistoryRegex(indices.map(i => chat[i]), settings.regexRules)
+        .map(msg => formatHistoryEntry(msg, 'text'));
+    if (lines.length === 0) {
+        setStorySummary({ ...summary, coveredUntil: historyStart });
+        return false;
+    }
+
+    const chunks = chunkHistoryLines(lines, SUMMARY_CHUNK_CHARS);
+    const calls = Math.min(chunks.length, SUMMARY_MAX_CALLS);
+    log(`Updating story summary with ${lines.length} message(s) that left the context window (${chunks.length} call(s))...`);
+    if (calls < chunks.length) {
+        log(`Summarizing the oldest ${calls} chunk(s) now; the rest follows in later rounds.`);
+    }
+
+    let text = summary.text || '';
+    let changed = false;
+    let covered = coveredUntil;
+    let linesDone = 0;
+
+    try {
+        for (let i = 0; i < calls; i++) {
+            const result = await generateWithFallback(
+                buildSummaryMessages(text, chunks[i].join('\n\n')),
+                withChainSampling(settings, { temperature: 0.3, maxTokens: Math.max(settings.maxTokens || 0, 800) }),
+                { signal },
+            );
+            if (SillyTavern.getContext().getCurrentChatId?.() !== chatId) {
+                log('Chat changed during summary update, discarding.', 'WARN');
+                return false;
+            }
+            if (!result?.trim()) {
+                log('Summary update returned empty text, keeping the previous summary.', 'WARN');
+                break;
+            }
+            text = result.trim();
+            changed = true;
+            linesDone += chunks[i].length;
+            // Last chunk covers up to the window; earlier chunks are saved as progress
+            covered = i === chunks.length - 1 ? historyStart : indices[linesDone - 1] + 1;
+            setStorySummary({ text, coveredUntil: covered });
+        }
+    } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        log(`Story summary update failed, keeping the previous summary: ${err.message}`, 'WARN');
+    }
+
+    if (changed) {
+        log(`Story summary updated (${text.length} chars, covers ${covered} messages).`);
+        // settings may be a paced copy; the editor shows the saved settings
+        renderPromptManager(getSettings());
+    }
+    return changed;
+}
+
+/**
+ * Turn a raw director response into the text to deliver: apply output-stage regex,
+ * strip the stop sentinel, prepend the outline when configured and apply final-stage regex.
+ * In structured mode the direction comes from the parsed JSON and the other fields are
+ * carried along for the round loop.
+ * @param {object} settings - Extension settings
+ * @param {string} raw - Raw director response
+ * @param {object} [opts]
+ * @param {boolean} [opts.quiet] - Don't log (used for extra candidates)
+ * @param {object} [opts.structured] - Parsed structured output, see parseStructuredOutput
+ * @returns {{raw: string, source: string, text: string, endReason: string, speaker: string,
+ *   mood: string, beatComplete: boolean, variables: object}} source is the direction before
+ *   processing; endReason is set when the sentinel was found or the director asked to stop;
+ *   speaker is the group member the director named; variables holds story variable updates;
+ *   structured is the parsed structured output, if any
+ */
+function prepareDirection(settings, raw, { quiet = false, structured = null } = {}) {
+    const source = structured ? structured.direction : String(raw || '');
+    const result = {
+        raw,
+        source,
+        text: '',
+        endReason: structured?.stop ? 'director set "stop"' : '',
+        speaker: '',
+        mood: structured?.mood || '',
+        beatComplete: !!structured?.beat_complete,
+        variables: {},
+        structured,
+    };
+    let text = applyTextRegex(source, settings.regexRules, 'output').trim();
+
+    if (isGroupSpeakerMode(settings)) {
+        if (structured) {
+            result.speaker = structured.next_speaker;
+        } else {
+            ({ text, speaker: result.speaker } = extractNextSpeaker(text));
+        }
+    }
+
+    if (isStoryVariablesEnabled(settings)) {
+        let tagUpdates;
+        ({ text, updates: tagUpdates } = extractVariableTags(text));
+        result.variables = { ...tagUpdates, ...normalizeVariableUpdates(structured?.variables) };
+    }
+
+    // Sentinel: deliver what's left of the direction as the final round
+    const sentinelRegex = getSentinelRegex(settings);
+    if (sentinelRegex?.test(text)) {
+        result.endReason = `director emitted "${settings.stopSentinel}"`;
+        text = text.replace(sentinelRegex, '').trim();
+    }
+    if (result.endReason && !text) return result;
+
+    // Inject outline into direction if configured
+    const outlineText = expandMacros(getOutlineText(settings), settings).trim();
+    const shouldInjectOutline = settings.outlineEnabled
+        && outlineText
+        && settings.outlineInjectRounds > 0
+        && settings.currentRound <= settings.outlineInjectRounds;
+
+    if (shouldInjectOutline) {
+        text = `[Plot Outline]\n${outlineText}\n\n[Direction]\n${text}`;
+        if (!quiet) {
+            log(`Outline injected (round ${settings.currentRound} <= ${settings.outlineInjectRounds}).`);
+        }
+    }
+
+    result.text = applyTextRegex(text, settings.regexRules, 'final').trim();
+    return result;
+}
+
+/**
+ * Parse a raw response (structured mode only) and prepare it for delivery.
+ * @returns {Promise<object|null>} Prepared direction, or null when the structured output stays invalid
+ */
+async function prepareRawDirection(settings, raw, signal, { quiet = false } = {}) {
+    if (!settings.structuredOutput) {
+        return prepareDirection(settings, raw, { quiet });
+    }
+    const structured = await resolveStructuredOutput(settings, raw, signal, { quiet });
+    return structured ? prepareDirection(settings, raw, { quiet, structured }) : null;
+}
+
+// ---- Structured Output ----
+
+function getOutputSchema(settings) {
+    return settings.structuredOutput ? DIRECTION_SCHEMA : undefined;
+}
+
+/**
+ * Parse and validate a structured response, with one repair attempt by the director LLM.
+ * @returns {Promise<object|null>} Normalized fields, or null when still invalid after the repair
+ */
+async function resolveStructuredOutput(settings, raw, signal, { quiet = false } = {}) {
+    const first = parseStructuredOutput(raw);
+    if (first.value) return first.value;
+
+    log(`Structured output invalid (${first.errors.join('; ')}), attempting repair...`, 'WARN');
+    try {
+        const repaired = await generateWithFallback(
+            buildRepairMessages(raw, first.errors),
+            withChainSampling(settings, { temperature: 0 }),
+            { signal, jsonSchema: DIRECTION_SCHEMA },
+        );
+        const second = parseStructuredOutput(repaired);
+        if (second.value) {
+            if (!quiet) log('Structured output repaired.');
+            return second.value;
+        }
+        log(`Repaired output still invalid: ${second.errors.join('; ')}`, 'WARN');
+    } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        log(`Structured output repair failed: ${err.message}`, 'WARN');
+    }
+    return null;
+}
+
+// ---- Repetition Guard ----
+
+/**
+ * Sent text of a direction without the outline that prepareDirection may prepend.
+ */
+function stripInjectedOutline(text) {
+    const marker = '\n\n[Direction]\n';
+    const index = text.indexOf(marker);
+    return text.startsWith('[Plot Outline]\n') && index !== -1 ? text.substring(index + marker.length) : text;
+}
+
+function getRecentSentDirections(count) {
+    return getDirectionHistory()
+        .filter(r => r.status === 'sent' && r.finalText)
+        .slice(-Math.max(1, count))
+        .map(r => stripInjectedOutline(r.finalText));
+}
+
+/**
+ * Compare the direction with the last sent ones and regenerate it with an
+ * anti-repetition hint while it is too similar. Similarities are collected in trace.similarity.
+ * @returns {Promise<object>} Accepted prepared direction; the least similar one when all retries repeat
+ */
+async function guardAgainstRepetition(settings, prepared, trace, signal) {
+    const recent = getRecentSentDirections(Math.max(1, settings.repetitionWindow ?? 5));
+    if (recent.length === 0) return prepared;
+
+    // A threshold of 0 would flag every direction, even one sharing nothing
+    const threshold = Math.max(0.01, settings.repetitionThreshold ?? 0.6);
+    const maxRetries = Math.max(0, settings.repetitionMaxRetries ?? 2);
+    trace.similarity = [];
+    let current = prepared;
+    let best = null;
+
+    for (let attempt = 0; ; attempt++) {
+        const { score, index } = findMostSimilar(stripInjectedOutline(current.text), recent);
+        trace.similarity.push(score);
+        if (!best || score < best.score) {
+            best = { score, prepared: current };
+        }
+        if (score < threshold || index < 0) {
+            if (attempt > 0) log(`Regenerated direction is ${Math.round(score * 100)}% similar, accepted.`);
+            return current;
+        }
+
+        log(`Direction is ${Math.round(score * 100)}% similar to a recent one (threshold ${Math.round(threshold * 100)}%).`, 'WARN');
+        if (attempt >= maxRetries) {
+            log(`Still repetitive after ${maxRetries} retries, using the least similar direction.`, 'WARN');
+            return best.prepared;
+        }
+
+        log(`Regenerating with an anti-repetition hint (${attempt + 1}/${maxRetries})...`);
+        const retryTrace = {};
+        let next = null;
+        try {
+            const raw = await callDirectorLLM(settings, signal, retryTrace, {
+                extraInstruction: buildRepetitionHint(recent[index]),
+            });
+            next = raw?.trim() ? await prepareRawDirection(settings, raw, signal) : null;
+        } catch (err) {
+            if (err.name === 'AbortError') throw err;
+            log(`Regenerating failed: ${err.message}`, 'WARN');
+        }
+        if (!next?.text) return best.prepared;
+
+        showLLMOutput(next.raw.trim());
+        current = next;
+        // The record shows the prompt that produced the accepted direction
+        trace.messages = retryTrace.messages;
+        trace.callSettings = retryTrace.callSettings;
+        trace.apiConfig = retryTrace.apiConfig;
+        trace.model = retryTrace.model;
+    }
+}
+
+// ---- Self-Critique ----
+
+/**
+ * Score a direction against the critique rubric.
+ * @returns {Promise<{score: number, feedback: string}|null>} null when the critique failed
+ */
+async function scoreDirection(settings, text, signal) {
+    try {
+        const answer = await generateWithFallback(
+            buildCritiqueMessages(text, settings.critiqueRubric || '', {
+                outline: expandMacros(getOutlineText(settings), settings),
+                lastReply: getLastAiMessage(SillyTavern.getContext().chat || []),
+            }),
+            withChainSampling(settings, { temperature: 0 }),
+            { signal },
+        );
+        const verdict = parseCritique(answer);
+        if (!verdict) {
+            log(`Critique answer has no score: ${answer.trim().substring(0, 80)}`, 'WARN');
+        }
+        return verdict;
+    } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        log(`Critique failed: ${err.message}`, 'WARN');
+        return null;
+    }
+}
+
+/**
+ * Rewrite a direction with the critique feedback, or regenerate it from the same prompt.
+ * @returns {Promise<object|null>} New prepared direction, or null when that failed
+ */
+async function reviseDirection(settings, prepared, feedback, trace, signal) {
+    try {
+        if (settings.critiqueAction === 'regenerate') {
+            const raw = await generateWithFallback(trace.messages, trace.callSettings || settings, {
+                signal,
+                jsonSchema: getOutputSchema(settings),
+            });
+            const fresh = await prepareRawDirection(settings, raw, signal);
+            return fresh?.text ? fresh : null;
+        }
+
+        const rewritten = (await generateWithFallback(
+            buildRewriteMessages(prepared.source, feedback, settings.critiqueRubric || ''),
+            settings,
+            { signal },
+        )).trim();
+        if (!rewritten) return null;
+        const structured = prepared.structured ? { ...prepared.structured, direction: rewritten } : null;
+        const revised = prepareDirection(settings, rewritten, { structured });
+        return revised.text ? revised : null;
+    } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        log(`Revising the direction failed: ${err.message}`, 'WARN');
+        return null;
+    }
+}
+
+/**
+ * Score the direction and rewrite or regenerate it while it stays below the threshold.
+ * Scores are collected in trace.critique.
+ * @returns {Promise<object>} Accepted prepared direction; the best scored one when no attempt passes
+ */
+async function runCritiquePass(settings, prepared, trace, signal) {
+    const threshold = settings.critiqueThreshold ?? 7;
+    const maxAttempts = Math.max(0, settings.critiqueMaxAttempts ?? 2);
+    const action = settings.critiqueAction === 'regenerate' ? 'regenerating' : 'rewriting';
+    trace.critique = [];
+    let current = prepared;
+    let best = null;
+
+    for (let attempt = 0; ; attempt++) {
+        const verdict = await scoreDirection(settings, current.source, signal);
+        if (!verdict) return current;
+
+        trace.critique.push({ attempt: attempt + 1, score: verdict.score, feedback: verdict.feedback });
+        log(`Critique ${attempt + 1}: ${verdict.score}/10${verdict.feedback ? ` - ${verdict.feedback}` : ''}`);
+        if (!best || verdict.score > best.score) {
+            best = { score: verdict.score, prepared: current };
+        }
+        if (verdict.score >= threshold) return current;
+
+        if (attempt >= maxAttempts) {
+            log(`Direction stayed below ${threshold}/10 after ${maxAttempts} attempt(s), using the best one (${best.score}/10).`, 'WARN');
+            return best.prepared;
+        }
+
+        log(`Score below ${threshold}/10, ${action} direction (${attempt + 1}/${maxAttempts})...`);
+        const revised = await reviseDirection(settings, current, verdict.feedback, trace, signal);
+        if (!revised) return best.prepared;
+        current = revised;
+    }
+}
+
+// ---- Stop Conditions ----
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function getSentinelRegex(settings) {
+    const sentinel = settings.stopSentinel?.trim();
+    if (!settings.stopOnSentinel || !sentinel) return null;
+    return new RegExp(escapeRegExp(sentinel), 'gi');
+}
+
+function normalizeDirection(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Count consecutive empty or duplicate directions.
+ * @returns {string} Stop reason, or empty string
+ */
+function trackRepeatedDirection(settings, text) {
+    const normalized = normalizeDirection(text);
+    const bad = !normalized || normalized === lastDirectionNormalized;
+    consecutiveBadDirections = bad ? consecutiveBadDirections + 1 : 0;
+    if (normalized) lastDirectionNormalized = normalized;
+
+    const limit = settings.stopRepeatCount || 3;
+    if (settings.stopOnRepeats && consecutiveBadDirections >= limit) {
+        return `${consecutiveBadDirections} consecutive empty or duplicate directions`;
+    }
+    return '';
+}
+
+async function measureText(text, unit) {
+    if (unit !== 'tokens') return text.length;
+    return countTokens(text, SillyTavern.getContext().getTokenCountAsync);
+}
+
+/**
+ * Checks run after each AI reply: reply regex and cumulative budget.
+ * @returns {Promise<string>} Stop reason, or empty string
+ */
+async function checkReplyStopConditions(settings) {
+    const chat = SillyTavern.getContext().chat || [];
+    const lastMessage = chat[chat.length - 1];
+    if (!lastMessage || lastMessage.is_user || lastMessage.is_system) return '';
+    const reply = lastMessage.mes || '';
+
+    if (settings.stopOnBudget) {
+        runBudgetUsed += await measureText(reply, settings.stopBudgetUnit);
+        log(`Budget used: ${runBudgetUsed}/${settings.stopBudgetLimit} ${settings.stopBudgetUnit}.`);
+        if (runBudgetUsed >= settings.stopBudgetLimit) {
+            return `${settings.stopBudgetUnit} budget reached (${runBudgetUsed}/${settings.stopBudgetLimit})`;
+        }
+    }
+
+    if (settings.stopOnAiRegex && settings.stopAiRegex) {
+        try {
+            const regex = new RegExp(settings.stopAiRegex, settings.stopAiRegexFlags || '');
+            if (regex.test(reply)) {
+                return `AI reply matched /${settings.stopAiRegex}/${settings.stopAiRegexFlags || ''}`;
+            }
+        } catch (e) {
+            log(`Invalid stop regex "${settings.stopAiRegex}": ${e.message}. Skipping.`, 'WARN');
+        }
+    }
+
+    return '';
+}
+
+function resetStopTracking(budgetUsed = 0) {
+    runBudgetUsed = budgetUsed;
+    consecutiveBadDirections = 0;
+    lastDirectionNormalized = '';
+}
+
+/**
+ * End the run because a stop condition was met.
+ * @param {boolean} [roundStarted] - Whether the current round was counted but never delivered
+ */
+function endRunByCondition(settings, reason, roundStarted = false) {
+    if (roundStarted) {
+        settings.currentRound = Math.max(0, settings.currentRound - 1);
+    }
+    log(`Stop condition met: ${reason}.`, 'WARN');
+    isProcessing = false;
+    stopDirector(settings);
+}
+
+function finishSkippedRound(settings) {
+    skipRequested = false;
+    isProcessing = false;
+    log(`Round ${settings.currentRound} skipped.`);
+    updateStatusUI(settings);
+    if (settings.currentRound >= settings.rounds) {
+        stopDirector(settings);
+    }
+}
+
+/**
+ * Skip the round currently being prepared: aborts the director LLM call
+ * (or dismisses the preview popup) without stopping the run.
+ * @returns {boolean} Whether there was a round to skip
+ */
+function skipCurrentRound(settings) {
+    if (!settings.running || !isProcessing) return false;
+    if (activePreviewPopup) {
+        const context = SillyTavern.getContext();
+        activePreviewPopup.complete(context.POPUP_RESULT?.CANCELLED ?? null);
+        return true;
+    }
+    skipRequested = true;
+    currentAbortController?.abort();
+    return true;
+}
+
+function validateDirectorConfig(settings) {
+    if (!settings.enabled) {
+        toastr.warning('Please enable Plot Director first.');
+        return false;
+    }
+
+    const preset = getCurrentPreset(settings);
+    if (!preset || !preset.system_prompt) {
+        toastr.warning(ERROR_MESSAGES.NO_PRESET);
+        return false;
+    }
+
+    if (settings.connectionMode === 'direct') {
+        if (!settings.apiUrl?.trim()) {
+            toastr.warning('Please set an API URL for direct connection mode.');
+            return false;
+        }
+        if (!settings.model?.trim()) {
+            toastr.warning(ERROR_MESSAGES.NO_MODEL);
+            return false;
+        }
+    } else if (!settings.model?.trim()) {
+        toastr.warning('Please set a model name.');
+        return false;
+    }
+
+    return true;
+}
+
+async function startDirector(settings) {
+    if (oneShotActive) {
+        toastr.warning('Wait for /pd-generate to finish before starting.');
+        return;
+    }
+    if (!validateDirectorConfig(settings)) return;
+
+    settings.running = true;
+    settings.currentRound = 0;
+    isProcessing = false;
+    resetStopTracking();
+    updateStatusUI(settings);
+    saveSettings();
+    saveRunState(settings);
+
+    log(`Director started. Will run for ${settings.rounds} rounds.`);
+    toastr.info('Plot Director started.');
+
+    // Immediately kick off the first round
+    await runDirectorRound();
+}
+
+/**
+ * @param {object} settings - Extension settings
+ * @param {object} [options]
+ * @param {boolean} [options.keepRunState] - Leave the chat's run state resumable (errors, chat switch)
+ */
+function stopDirector(settings, { keepRunState = false } = {}) {
+    const wasRunning = settings.running;
+    settings.running = false;
+    isProcessing = false;
+    clearInjectedPrompt();
+    if (currentAbortController) {
+        currentAbortController.abort();
+        currentAbortController = null;
+    }
+    updateStatusUI(settings);
+    saveSettings();
+    if (wasRunning && !keepRunState) {
+        saveRunState(settings, false);
+    }
+    if (wasRunning) {
+        log(`Director stopped. Completed ${settings.currentRound}/${settings.rounds} rounds.`);
+        toastr.info('Plot Director stopped.');
     }
 }
 
-async function sendAsUserAndGenerate(text) {
-    const context = SillyTavern.getContext();
-    const message = {
-        name: context.name1,
-        is_user: true,
-        is_system: false,
-        send_date: new Date().toISOString(),
-        mes: text,
+// ---- Run Resume ----
+
+/**
+ * Persist the run progress into the current chat's metadata.
+ * `completedRounds` counts rounds whose direction was delivered or skipped.
+ */
+function saveRunState(settings, active = true) {
+    const state = getChatDirectorState();
+    if (!state) return;
+    state.run = {
+        active,
+        completedRounds: settings.currentRound,
+        rounds: settings.rounds,
+        mode: settings.mode,
+        preset: settings.selectedPreset,
+        budgetUsed: runBudgetUsed,
+        updatedAt: new Date().toISOString(),
     };
+    const context = SillyTavern.getContext();
+    (context.saveMetadataDebounced || context.saveMetadata)?.();
+}
 
-    context.chat.push(message);
-    context.addOneMessage(message);
-    await context.saveChat();
-    await context.generate('normal', { automatic_trigger: true });
+function applyRunStateToUI(settings) {
+    const roundsEl = document.getElementById('st_pd_rounds');
+    if (roundsEl) roundsEl.value = settings.rounds;
+    const modeEl = document.getElementById('st_pd_mode');
+    if (modeEl) modeEl.value = settings.mode;
+    populatePresetDropdown(settings);
+    loadPresetToEditor(settings);
+    renderPromptManager(settings);
 }
 
-async function showPreviewPopup(text) {
+// ---- Character / Chat Overrides ----
+
+// Settings that can be bound to a character or a chat, by panel group
+const OVERRIDE_GROUPS = {
+    preset: { label: 'Preset', keys: ['selectedPreset'], ui: ['st_pd_preset_select'] },
+    // Only the config's name is stored (chat metadata travels with exports); its fields are looked up when applied
+    apiConfig: { label: 'API Config', keys: ['selectedApiConfig'], ui: ['st_pd_api_config_select'] },
+    // Beat progress travels with the outline, so it always indexes the beat list it was made for
+    outline: { label: 'Outline', keys: ['outline', 'outlineMode', 'outlineBeats', 'outlineBeatIndex', 'outlineBeatRounds'], ui: ['st_pd_outline', 'st_pd_outline_mode', 'st_pd_beat_list'] },
+    rounds: { label: 'Rounds', keys: ['rounds'], ui: ['st_pd_rounds'] },
+    mode: { label: 'Mode', keys: ['mode'], ui: ['st_pd_mode'] },
+};
+
+// group → 'character' | 'chat' for the overrides applied to the current chat
+let activeOverrideSources = {};
+// Chat and character the active overrides were applied for
+let overrideScope = null;
+
+/**
+ * Key for per-character overrides: the card's avatar file. Null in group chats.
+ */
+function getCharacterOverrideKey() {
     const context = SillyTavern.getContext();
-    const container = document.createElement('div');
-    const label = document.createElement('p');
-    label.innerHTML = '<b>Plot Director</b> generated the following direction:';
-    const textarea = document.createElement('textarea');
-    textarea.className = 'st-pd-preview-content text_pole';
-    textarea.value = text;
-    container.appendChild(label);
-    container.appendChild(textarea);
+    if (context.groupId) return null;
+    return context.characters?.[context.characterId]?.avatar || null;
+}
 
-    const popup = new context.Popup(container, context.POPUP_TYPE.CONFIRM, '', {
-        okButton: 'Send',
-        cancelButton: 'Skip',
-        wide: true,
-    });
+function getCharacterOverride(settings) {
+    const key = getCharacterOverrideKey();
+    return key ? settings.characterOverrides?.[key] || null : null;
+}
 
-    const result = await popup.show();
+function getChatOverride() {
+    return getChatDirectorState()?.overrides || null;
+}
 
-    if (result === context.Popup.RESULT?.AFFIRMATIVE || result === 1) {
-        const ta = popup.dlg?.querySelector('.st-pd-preview-content');
-        return ta ? ta.value : text;
+/**
+ * Snapshot the current values of the given groups: { group: { key: value } }.
+ */
+function captureOverride(settings, groups) {
+    const override = {};
+    for (const group of groups) {
+        if (group === 'apiConfig' && !settings.apiConfigs?.[settings.selectedApiConfig]) continue;
+        override[group] = {};
+        for (const key of OVERRIDE_GROUPS[group].keys) {
+            override[group][key] = structuredClone(settings[key]);
+        }
     }
+    return override;
+}
 
-    return null;
+/**
+ * Settings keys an override group replaces when applied.
+ */
+function getOverriddenKeys(group) {
+    const keys = OVERRIDE_GROUPS[group].keys;
+    return group === 'apiConfig' ? [...keys, ...API_CONFIG_FIELDS] : keys;
 }
 
-function escapeHtml(str) {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
+/**
+ * Values an override group sets: a copy of the stored values, with an API
+ * config expanded from the saved config of that name and beat progress kept
+ * within the outline's beats.
+ * @returns {object|null} null when the referenced API config no longer exists
+ */
+function resolveOverrideValues(settings, group, values) {
+    if (group === 'outline') {
+        // Overrides saved before beat progress was stored start at the first beat
+        const resolved = { outlineBeatIndex: 0, outlineBeatRounds: 0, ...structuredClone(values) };
+        resolved.outlineBeatIndex = Math.max(0, Math.min(resolved.outlineBeatIndex, (resolved.outlineBeats || []).length));
+        return resolved;
+    }
+    if (group !== 'apiConfig') return structuredClone(values);
+    const config = settings.apiConfigs?.[values.selectedApiConfig];
+    if (!config) return null;
+    const resolved = { selectedApiConfig: values.selectedApiConfig };
+    for (const key of API_CONFIG_FIELDS) {
+        if (config[key] !== undefined) resolved[key] = structuredClone(config[key]);
+    }
+    return resolved;
 }
 
-async function onGenerationEnded() {
-    const settings = getSettings();
+/**
+ * Overrides saved by older versions copied every API field, including the key.
+ * Reduce them to the config name.
+ * @returns {boolean} Whether the override was changed
+ */
+function stripApiConfigFields(override) {
+    const values = override?.apiConfig;
+    if (!values || Object.keys(values).every(key => key === 'selectedApiConfig')) return false;
+    override.apiConfig = { selectedApiConfig: values.selectedApiConfig };
+    return true;
+}
 
-    if (!settings.enabled || !settings.running) {
-        return;
+/**
+ * Restore the global values replaced by the previous overrides, then apply the
+ * current character's overrides with the chat's on top.
+ */
+function applyOverrides(settings) {
+    if (settings.overrideBase) {
+        const config = activeOverrideSources.apiConfig && settings.apiConfigs?.[settings.selectedApiConfig];
+        if (config && API_CONFIG_FIELDS.some(key => config[key] !== undefined && config[key] !== settings[key])) {
+            log(`Unsaved edits to API config "${settings.selectedApiConfig}" were discarded; save the config to keep them.`, 'WARN');
+        }
+        Object.assign(settings, settings.overrideBase);
+        settings.overrideBase = null;
     }
 
-    if (isProcessing) {
-        log('Skipped: already processing a direction.');
-        return;
+    const chatOverride = getChatOverride();
+    if (stripApiConfigFields(chatOverride)) {
+        const context = SillyTavern.getContext();
+        (context.saveMetadataDebounced || context.saveMetadata)?.();
+    }
+    stripApiConfigFields(getCharacterOverride(settings));
+
+    activeOverrideSources = {};
+    const values = {};
+    for (const [source, override] of [['character', getCharacterOverride(settings)], ['chat', chatOverride]]) {
+        if (!override) continue;
+        for (const group of Object.keys(OVERRIDE_GROUPS)) {
+            if (!override[group]) continue;
+            if (group === 'preset' && !settings.presets[override[group].selectedPreset]) {
+                log(`${source} override preset "${override[group].selectedPreset}" not found, ignoring.`, 'WARN');
+                continue;
+            }
+            const resolved = resolveOverrideValues(settings, group, override[group]);
+            if (!resolved) {
+                log(`${source} override API config "${override[group].selectedApiConfig}" not found, ignoring.`, 'WARN');
+                continue;
+            }
+            values[group] = resolved;
+            activeOverrideSources[group] = source;
+        }
     }
 
-    if (settings.currentRound >= settings.rounds) {
-        return;
+    const groups = Object.keys(values);
+    if (groups.length > 0) {
+        settings.overrideBase = {};
+        for (const group of groups) {
+            for (const key of getOverriddenKeys(group)) {
+                settings.overrideBase[key] = structuredClone(settings[key]);
+            }
+        }
+        for (const group of groups) {
+            Object.assign(settings, values[group]);
+        }
+        const summary = groups.map(g => `${OVERRIDE_GROUPS[g].label} (${activeOverrideSources[g]})`).join(', ');
+        log(`Overrides applied: ${summary}.`);
     }
+    overrideScope = groups.length > 0
+        ? { chatId: SillyTavern.getContext().getCurrentChatId?.(), characterKey: getCharacterOverrideKey() }
+        : null;
 
-    await runDirectorRound();
+    saveSettings();
+    refreshOverriddenUI(settings);
 }
 
-async function runDirectorRound() {
-    const settings = getSettings();
-
-    if (!settings.running || isProcessing) return;
-    if (settings.currentRound >= settings.rounds) {
-        stopDirector(settings);
-        return;
+/**
+ * Write edits to overridden settings (panel, /pd-start N) back into the override
+ * that supplied them, so restoring the global values on the next chat switch
+ * doesn't discard them. Called on every settings save.
+ */
+function syncOverrideEdits(settings) {
+    if (!overrideScope || !settings.overrideBase) return;
+    const context = SillyTavern.getContext();
+    // The chat may already have changed before applyOverrides runs for the new one
+    if (context.getCurrentChatId?.() !== overrideScope.chatId) return;
+
+    let chatChanged = false;
+    for (const [group, source] of Object.entries(activeOverrideSources)) {
+        const override = source === 'character'
+            ? settings.characterOverrides?.[overrideScope.characterKey]
+            : getChatOverride();
+        if (!override?.[group]) continue;
+        const current = captureOverride(settings, [group])[group];
+        if (!current || JSON.stringify(current) === JSON.stringify(override[group])) continue;
+        override[group] = current;
+        if (source === 'chat') chatChanged = true;
+    }
+    if (chatChanged) {
+        (context.saveMetadataDebounced || context.saveMetadata)?.();
     }
+}
 
-    if (currentAbortController) {
-        currentAbortController.abort();
+/**
+ * Re-sync every panel control an override can change, and mark the overridden ones.
+ */
+function refreshOverriddenUI(settings) {
+    applyRunStateToUI(settings);
+    populateApiConfigDropdown(settings);
+    syncApiFieldsToUI(settings);
+    const outlineEl = document.getElementById('st_pd_outline');
+    if (outlineEl) outlineEl.value = settings.outline || '';
+    const outlineModeEl = document.getElementById('st_pd_outline_mode');
+    if (outlineModeEl) outlineModeEl.value = settings.outlineMode;
+    updateOutlineModeUI(settings);
+    renderBeatList(settings);
+    updateStatusUI(settings);
+    renderOverrideStatus(settings);
+}
+
+function renderOverrideStatus(settings) {
+    for (const [group, def] of Object.entries(OVERRIDE_GROUPS)) {
+        const source = activeOverrideSources[group];
+        for (const id of def.ui) {
+            const el = document.getElementById(id);
+            if (!el) continue;
+            el.classList.toggle('st-pd-overridden', !!source);
+            if (source) {
+                el.dataset.overrideSource = source;
+            } else {
+                delete el.dataset.overrideSource;
+            }
+        }
     }
-    currentAbortController = new AbortController();
 
-    isProcessing = true;
+    const statusEl = document.getElementById('st_pd_override_status');
+    if (!statusEl) return;
+    const bySource = { character: [], chat: [] };
+    for (const [group, source] of Object.entries(activeOverrideSources)) {
+        bySource[source].push(OVERRIDE_GROUPS[group].label);
+    }
+    const parts = [];
+    if (bySource.character.length) parts.push(`Character: ${bySource.character.join(', ')}`);
+    if (bySource.chat.length) parts.push(`Chat: ${bySource.chat.join(', ')}`);
+    statusEl.textContent = parts.length ? `Active overrides — ${parts.join(' · ')}` : 'No overrides for this chat.';
+    statusEl.classList.toggle('active', parts.length > 0);
+
+    const hasCharacter = !!getCharacterOverrideKey();
+    document.getElementById('st_pd_override_save_char')?.classList.toggle('disabled', !hasCharacter);
+    document.getElementById('st_pd_override_clear_char')?.classList.toggle('disabled', !getCharacterOverride(settings));
+    document.getElementById('st_pd_override_clear_chat')?.classList.toggle('disabled', !getChatOverride());
+}
 
-    try {
-        settings.currentRound++;
-        log(`Round ${settings.currentRound}/${settings.rounds} - Starting...`);
-        updateStatusUI(settings);
-        saveSettings();
+function getCheckedOverrideGroups() {
+    return [...document.querySelectorAll('.st-pd-override-group:checked')].map(el => el.value);
+}
 
-        // Wait for chatu8 to finish image tag generation
-        if (settings.waitForChatu8) {
-            await waitForChatu8Complete(settings);
-        }
+function saveOverride(settings, target) {
+    const groups = getCheckedOverrideGroups();
+    if (groups.length === 0) {
+        toastr.warning('Select at least one setting to bind.');
+        return;
+    }
+    const override = captureOverride(settings, groups);
+    if (Object.keys(override).length === 0) {
+        toastr.warning('Select a saved API config before binding it.');
+        return;
+    }
 
-        if (!settings.running) {
-            log('Director stopped before LLM call, skipping this round.');
+    if (target === 'character') {
+        const key = getCharacterOverrideKey();
+        if (!key) {
+            toastr.warning('Open a single-character chat to save a character override.');
             return;
         }
-
-        log('Calling director LLM...');
-        const direction = await callDirectorLLM(settings, currentAbortController.signal);
-
-        if (!direction || !direction.trim()) {
-            log('Director LLM returned empty response. Skipping this round.', 'WARN');
-            toastr.warning('Director LLM returned empty response.');
-            isProcessing = false;
-            updateStatusUI(settings);
+        settings.characterOverrides[key] = { ...settings.characterOverrides[key], ...override };
+    } else {
+        const state = getChatDirectorState();
+        if (!state) {
+            toastr.warning('Open a chat first.');
             return;
         }
+        state.overrides = { ...state.overrides, ...override };
+        const context = SillyTavern.getContext();
+        (context.saveMetadataDebounced || context.saveMetadata)?.();
+    }
 
-        let finalText = direction.trim();
-        log(`Director LLM responded (${finalText.length} chars).`);
-        showLLMOutput(finalText);
-
-        // Inject outline into direction if configured
-        const shouldInjectOutline = settings.outlineEnabled
-            && settings.outline?.trim()
-            && settings.outlineInjectRounds > 0
-            && settings.currentRound <= settings.outlineInjectRounds;
-
-        if (shouldInjectOutline) {
-            finalText = `[Plot Outline]\n${settings.outline.trim()}\n\n[Direction]\n${finalText}`;
-            log(`Outline injected (round ${settings.currentRound} <= ${settings.outlineInjectRounds}).`);
-        }
+    log(`Saved ${target} override: ${Object.keys(override).map(g => OVERRIDE_GROUPS[g].label).join(', ')}.`);
+    toastr.success(`Saved as ${target} override.`);
+    applyOverrides(settings);
+}
 
-        if (settings.mode === 'preview') {
-            log('Preview mode: waiting for user confirmation...');
-            const edited = await showPreviewPopup(finalText);
-            if (edited === null) {
-                log('User skipped this round.');
-                isProcessing = false;
-                updateStatusUI(settings);
-                if (settings.currentRound >= settings.rounds) {
-                    stopDirector(settings);
-                }
-                return;
-            }
-            finalText = edited;
-        }
+async function clearOverride(settings, target) {
+    const exists = target === 'character' ? getCharacterOverride(settings) : getChatOverride();
+    if (!exists) return;
+    const context = SillyTavern.getContext();
+    const confirmed = await context.callGenericPopup(`Remove the ${target} override? Global settings will be used again.`, context.POPUP_TYPE.CONFIRM);
+    if (confirmed !== 1 && confirmed !== true) return;
 
-        if (!settings.running) {
-            log('Director stopped before sending user message, skipping send.');
-            return;
-        }
+    if (target === 'character') {
+        delete settings.characterOverrides[getCharacterOverrideKey()];
+    } else {
+        delete getChatDirectorState().overrides;
+        (context.saveMetadataDebounced || context.saveMetadata)?.();
+    }
+    log(`Removed ${target} override.`);
+    applyOverrides(settings);
+}
 
-        log('Sending direction as user message...');
-        const isLastRound = settings.currentRound >= settings.rounds;
-        if (isLastRound) {
-            log(`All ${settings.rounds} rounds completed.`);
-        }
+// ---- Group Members UI ----
 
-        isProcessing = false;
-        updateStatusUI(settings);
+function renderGroupMembers(settings) {
+    const container = document.getElementById('st_pd_group_member_list');
+    if (!container) return;
 
-        if (isLastRound) {
-            stopDirector(settings);
-        }
+    const members = getGroupMembers();
+    if (members.length === 0) {
+        container.innerHTML = '<div class="st-pd-hint">Not a group chat.</div>';
+        return;
+    }
 
-        await sendAsUserAndGenerate(finalText);
-    } catch (err) {
-        if (err.name === 'AbortError') {
-            log('Director LLM request aborted.');
-        } else {
-            handleError(err, 'Plot Director');
-        }
-        isProcessing = false;
-        stopDirector(settings);
-    } finally {
-        if (currentAbortController?.signal?.aborted) {
-            currentAbortController = null;
-        }
+    const groupId = SillyTavern.getContext().groupId;
+    container.innerHTML = '';
+    for (const member of members) {
+        const row = document.createElement('div');
+        row.className = 'st-pd-group-member';
+        row.innerHTML = `
+            <label class="st-pd-group-member-name">${escapeHtml(member.name)}</label>
+            <input type="text" class="text_pole" placeholder="Note for the director (role, goals, voice...)" />
+        `;
+        const input = row.querySelector('input');
+        input.value = settings.groupMemberNotes?.[groupId]?.[member.avatar] || '';
+        input.addEventListener('input', () => {
+            if (!settings.groupMemberNotes) settings.groupMemberNotes = {};
+            if (!settings.groupMemberNotes[groupId]) settings.groupMemberNotes[groupId] = {};
+            settings.groupMemberNotes[groupId][member.avatar] = input.value;
+            saveSettings();
+        });
+        container.appendChild(row);
     }
 }
 
-async function startDirector(settings) {
-    if (!settings.enabled) {
-        toastr.warning('Please enable Plot Director first.');
-        return;
+function bindGroupUI(settings) {
+    const pickEl = document.getElementById('st_pd_group_pick_speaker');
+    if (pickEl) {
+        pickEl.checked = !!settings.groupPickSpeaker;
+        pickEl.addEventListener('change', () => {
+            settings.groupPickSpeaker = pickEl.checked;
+            saveSettings();
+            renderPromptManager(settings);
+        });
     }
+    renderGroupMembers(settings);
+}
 
-    const preset = getCurrentPreset(settings);
-    if (!preset || !preset.system_prompt) {
-        toastr.warning(ERROR_MESSAGES.NO_PRESET);
-        return;
-    }
+function bindOverridesUI(settings) {
+    document.getElementById('st_pd_override_save_char')?.addEventListener('click', () => saveOverride(settings, 'character'));
+    document.getElementById('st_pd_override_save_chat')?.addEventListener('click', () => saveOverride(settings, 'chat'));
+    document.getElementById('st_pd_override_clear_char')?.addEventListener('click', () => clearOverride(settings, 'character'));
+    document.getElementById('st_pd_override_clear_chat')?.addEventListener('click', () => clearOverride(settings, 'chat'));
+}
 
-    if (settings.connectionMode === 'direct') {
-        if (!settings.apiUrl?.trim()) {
-            toastr.warning('Please set an API URL for direct connection mode.');
-            return;
-        }
-        if (!settings.model?.trim()) {
-            toastr.warning(ERROR_MESSAGES.NO_MODEL);
-            return;
-        }
-    } else if (!settings.model?.trim()) {
-        toastr.warning('Please set a model name.');
+async function resumeDirector(settings, run) {
+    if (oneShotActive) {
+        toastr.warning('Wait for /pd-generate to finish before resuming.');
         return;
     }
+    settings.rounds = run.rounds;
+    settings.mode = run.mode || settings.mode;
+    if (run.preset && settings.presets[run.preset]) {
+        settings.selectedPreset = run.preset;
+    } else if (run.preset) {
+        log(`Preset "${run.preset}" of the interrupted run no longer exists, using "${settings.selectedPreset}".`, 'WARN');
+    }
+    applyRunStateToUI(settings);
+
+    if (!validateDirectorConfig(settings)) return;
 
     settings.running = true;
-    settings.currentRound = 0;
+    settings.currentRound = run.completedRounds || 0;
     isProcessing = false;
+    resetStopTracking(run.budgetUsed || 0);
     updateStatusUI(settings);
     saveSettings();
+    saveRunState(settings);
 
-    log(`Director started. Will run for ${settings.rounds} rounds.`);
-    toastr.info('Plot Director started.');
+    log(`Director resumed at round ${settings.currentRound + 1}/${settings.rounds}.`);
+    toastr.info('Plot Director resumed.');
 
-    // Immediately kick off the first round
     await runDirectorRound();
 }
 
-function stopDirector(settings) {
-    const wasRunning = settings.running;
-    settings.running = false;
-    isProcessing = false;
-    if (currentAbortController) {
-        currentAbortController.abort();
-        currentAbortController = null;
+/**
+ * Offer to resume an interrupted run of the current chat.
+ * Asked once per visit to a chat (repeated CHAT_CHANGED for the same chat is ignored).
+ */
+async function offerResumeRun() {
+    const context = SillyTavern.getContext();
+    const settings = getSettings();
+    const chatId = context.getCurrentChatId?.();
+    if (!chatId || chatId === resumePromptedChatId) return;
+    resumePromptedChatId = chatId;
+    if (settings.running) return;
+
+    const state = getChatDirectorState();
+    const run = state?.run;
+    if (!run?.active) return;
+
+    if ((run.completedRounds || 0) >= run.rounds) {
+        run.active = false;
+        return;
     }
-    updateStatusUI(settings);
-    saveSettings();
-    if (wasRunning) {
-        log(`Director stopped. Completed ${settings.currentRound}/${settings.rounds} rounds.`);
-        toastr.info('Plot Director stopped.');
+
+    const confirmed = await context.callGenericPopup(
+        `Plot Director 在此聊天中有未完成的运行（${run.completedRounds}/${run.rounds} 轮，预设 "${run.preset}"）。\n是否从第 ${run.completedRounds + 1} 轮继续？`,
+        context.POPUP_TYPE.CONFIRM,
+        '',
+        { okButton: 'Resume', cancelButton: 'Discard' },
+    );
+    if (confirmed !== 1 && confirmed !== true) {
+        run.active = false;
+        (context.saveMetadataDebounced || context.saveMetadata)?.();
+        log('Interrupted run discarded.');
+        return;
+    }
+
+    await resumeDirector(settings, run);
+}
+
+function onChatChanged() {
+    const settings = getSettings();
+    if (settings.running) {
+        // The run belongs to the previous chat; keep it resumable there
+        log('Chat changed, pausing the running director.', 'WARN');
+        stopDirector(settings, { keepRunState: true });
     }
+    clearInjectedPrompt();
+    hideDirectionMessages();
+    renderDirectionHistory();
+    activatedWorldInfo = [];
+    renderGroupMembers(settings);
+    // Also re-renders the prompt manager (story summary and card blocks follow the chat)
+    applyOverrides(settings);
+    offerResumeRun();
 }
 
 // ---- Prompt Manager UI ----
@@ -939,18 +3996,156 @@ function getBlockContentPreview(block, settings) {
         case 'system_prompt':
             return preset?.system_prompt || '(empty)';
         case 'plot_outline':
-            return settings.outline?.trim() || '(empty)';
+            return getOutlineText(settings).trim() || '(empty)';
+        case 'story_summary':
+            return getStorySummary()?.text || '(empty)';
+        case 'story_variables':
+            return formatStoryVariables(getStoryVariables()).replace(/\n/g, ', ') || '(empty)';
+        case 'group_members':
+            return buildGroupMembersText(settings) || '(not a group chat)';
         case 'chat_history':
             return '(recent chat messages)';
         case 'instruction':
             return block.content || '(empty)';
+        case 'world_info':
+            return getWorldInfoText() || '(no entries activated by the last generation)';
         default:
+            if (block.type !== 'custom') {
+                const content = getContextBlockContent(block.id);
+                if (content !== null) return content || '(empty)';
+            }
             return block.content || '(empty)';
     }
 }
 
-function isBlockContentEditable(block) {
-    return block.id === 'instruction' || block.type === 'custom';
+function isBlockContentEditable(block) {
+    return block.id === 'instruction' || block.type === 'custom';
+}
+
+/**
+ * Story summary lives in chat metadata, not in the preset: edit it in place.
+ */
+function buildStorySummaryEditor(body, blockEl, settings) {
+    const summary = getStorySummary();
+    const chatLength = (SillyTavern.getContext().chat || []).length;
+
+    const info = document.createElement('div');
+    info.className = 'st-pd-pm-block-content-preview';
+    info.textContent = summary?.coveredUntil
+        ? `Covers messages 1-${Math.min(summary.coveredUntil, chatLength)} of this chat. Updated automatically when messages leave the context window.`
+        : 'No summary yet. It is written automatically once messages leave the context window.';
+    body.appendChild(info);
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'text_pole';
+    textarea.placeholder = 'Story summary for the current chat...';
+    textarea.value = summary?.text || '';
+    textarea.addEventListener('input', () => {
+        setStorySummary({ text: textarea.value, coveredUntil: getStorySummary()?.coveredUntil || 0 });
+        const previewEl = blockEl.querySelector('.st-pd-pm-block-preview');
+        if (previewEl) {
+            const t = textarea.value || '(empty)';
+            previewEl.textContent = t.length > 50 ? t.substring(0, 50) + '...' : t;
+        }
+    });
+    body.appendChild(textarea);
+
+    const resetBtn = document.createElement('div');
+    resetBtn.className = 'menu_button';
+    resetBtn.title = 'Clear the summary; it will be rebuilt from the start of the chat';
+    resetBtn.innerHTML = '<i class="fa-solid fa-rotate-left"></i> Reset Summary';
+    resetBtn.addEventListener('click', async () => {
+        const context = SillyTavern.getContext();
+        const confirmed = await context.callGenericPopup('Clear the story summary for this chat?', context.POPUP_TYPE.CONFIRM);
+        if (confirmed !== 1 && confirmed !== true) return;
+        setStorySummary({ text: '', coveredUntil: 0 });
+        log('Story summary reset.');
+        renderPromptManager(settings);
+    });
+    body.appendChild(resetBtn);
+}
+
+function buildStoryVariablesEditor(body, blockEl) {
+    const list = document.createElement('div');
+    list.className = 'st-pd-var-list';
+
+    const updatePreview = () => {
+        const previewEl = blockEl.querySelector('.st-pd-pm-block-preview');
+        if (previewEl) {
+            const t = formatStoryVariables(getStoryVariables()).replace(/\n/g, ', ') || '(empty)';
+            previewEl.textContent = t.length > 50 ? t.substring(0, 50) + '...' : t;
+        }
+    };
+
+    const render = () => {
+        list.innerHTML = '';
+        const entries = Object.entries(getStoryVariables());
+        if (entries.length === 0) {
+            list.innerHTML = '<div class="st-pd-hint">No story variables in this chat yet.</div>';
+        }
+        for (const [key, value] of entries) {
+            const row = document.createElement('div');
+            row.className = 'st-pd-var-row';
+            row.innerHTML = `
+                <input type="text" class="text_pole st-pd-var-key" />
+                <input type="text" class="text_pole st-pd-var-value" />
+                <i class="fa-solid fa-trash st-pd-var-delete" title="Delete variable"></i>
+            `;
+            const keyInput = row.querySelector('.st-pd-var-key');
+            const valueInput = row.querySelector('.st-pd-var-value');
+            keyInput.value = key;
+            valueInput.value = value;
+
+            keyInput.addEventListener('change', () => {
+                const newKey = keyInput.value.trim();
+                const vars = getStoryVariables();
+                if (!newKey || newKey === key || Object.hasOwn(vars, newKey)) {
+                    keyInput.value = key;
+                    return;
+                }
+                // Rename in place to keep the order
+                setStoryVariables(Object.fromEntries(Object.entries(vars).map(([k, v]) => [k === key ? newKey : k, v])));
+                render();
+            });
+            valueInput.addEventListener('change', () => {
+                setStoryVariables({ ...getStoryVariables(), [key]: valueInput.value.trim() });
+                updatePreview();
+            });
+            row.querySelector('.st-pd-var-delete').addEventListener('click', () => {
+                setStoryVariables(applyVariableUpdates(getStoryVariables(), { [key]: '' }));
+                render();
+            });
+            list.appendChild(row);
+        }
+        updatePreview();
+    };
+
+    const addRow = document.createElement('div');
+    addRow.className = 'st-pd-var-row';
+    addRow.innerHTML = `
+        <input type="text" class="text_pole st-pd-var-key" placeholder="name" />
+        <input type="text" class="text_pole st-pd-var-value" placeholder="value" />
+        <i class="fa-solid fa-plus st-pd-var-add" title="Add variable"></i>
+    `;
+    addRow.querySelector('.st-pd-var-add').addEventListener('click', () => {
+        const keyInput = addRow.querySelector('.st-pd-var-key');
+        const valueInput = addRow.querySelector('.st-pd-var-value');
+        const key = keyInput.value.trim();
+        const value = valueInput.value.trim();
+        if (!key || !value) return;
+        if (!getChatDirectorState()) {
+            toastr.warning('Open a chat first.');
+            return;
+        }
+        setStoryVariables(applyVariableUpdates(getStoryVariables(), { [key]: value }));
+        keyInput.value = '';
+        valueInput.value = '';
+        render();
+    });
+
+    render();
+    body.appendChild(list);
+    body.appendChild(addRow);
 }
 
 function renderPromptManager(settings) {
@@ -972,6 +4167,11 @@ function renderPromptManager(settings) {
         modeSelect.value = pmConfig.chatHistoryMode || 'role';
     }
 
+    const layoutSelect = document.getElementById('st_pd_message_layout');
+    if (layoutSelect) {
+        layoutSelect.value = pmConfig.messageLayout || 'merged';
+    }
+
     for (let i = 0; i < pmConfig.blocks.length; i++) {
         const block = pmConfig.blocks[i];
         const blockEl = document.createElement('div');
@@ -1012,7 +4212,11 @@ function renderPromptManager(settings) {
 
         // Build body content
         const body = blockEl.querySelector('.st-pd-pm-block-body');
-        if (isBlockContentEditable(block)) {
+        if (block.id === 'story_summary') {
+            buildStorySummaryEditor(body, blockEl, settings);
+        } else if (block.id === 'story_variables') {
+            buildStoryVariablesEditor(body, blockEl);
+        } else if (isBlockContentEditable(block)) {
             const textarea = document.createElement('textarea');
             textarea.className = 'text_pole';
             textarea.value = block.content || '';
@@ -1073,10 +4277,11 @@ function renderPromptManager(settings) {
 
         body.appendChild(tagNameRow);
 
-        if (block.type === 'custom') {
+        // Chat history role comes from the messages themselves
+        if (block.id !== 'chat_history') {
             const roleSelect = document.createElement('select');
             roleSelect.className = 'st-pd-pm-block-role-select';
-            for (const r of ['system', 'user', 'assistant']) {
+            for (const r of MESSAGE_ROLES) {
                 const opt = document.createElement('option');
                 opt.value = r;
                 opt.textContent = r;
@@ -1183,6 +4388,16 @@ function bindPromptManagerUI(settings) {
         }
     });
 
+    // Message layout
+    const layoutSelect = document.getElementById('st_pd_message_layout');
+    layoutSelect?.addEventListener('change', () => {
+        const preset = getCurrentPreset(settings);
+        if (preset?.prompt_manager) {
+            preset.prompt_manager.messageLayout = layoutSelect.value;
+            saveSettings();
+        }
+    });
+
     // Add custom block
     document.getElementById('st_pd_pm_add_block')?.addEventListener('click', async () => {
         const context = SillyTavern.getContext();
@@ -1311,11 +4526,19 @@ function renderRegexRules(settings) {
         ruleEl.dataset.ruleIndex = i;
 
         const displayLabel = rule.label || (rule.pattern ? `/${rule.pattern}/${rule.flags || ''}` : '(empty rule)');
+        const stage = rule.stage || 'input';
+        const stageOptions = Object.entries(REGEX_STAGES)
+            .map(([value, name]) => `<option value="${value}" ${value === stage ? 'selected' : ''}>${name}</option>`)
+            .join('');
+        const scopeOptions = Object.entries(REGEX_SCOPES)
+            .map(([value, name]) => `<option value="${value}" ${value === (rule.scope || 'all') ? 'selected' : ''}>${name}</option>`)
+            .join('');
 
         ruleEl.innerHTML = `
             <div class="st-pd-regex-rule-header">
                 <i class="fa-solid fa-grip-vertical st-pd-regex-drag-handle"></i>
                 <span class="st-pd-regex-rule-label">${escapeHtml(displayLabel)}</span>
+                <span class="st-pd-regex-rule-stage">${REGEX_STAGES[stage] || stage}</span>
                 <div class="st-pd-regex-rule-actions">
                     <input type="checkbox" class="st-pd-regex-rule-toggle" ${rule.enabled ? 'checked' : ''} title="Enable/Disable" />
                     <i class="fa-solid fa-chevron-down st-pd-regex-rule-expand" title="Expand/Collapse"></i>
@@ -1339,6 +4562,14 @@ function renderRegexRules(settings) {
                     <label>Replace</label>
                     <input type="text" class="st-pd-regex-input-replacement" value="${escapeHtml(rule.replacement || '')}" placeholder="(empty = delete)" />
                 </div>
+                <div class="st-pd-row">
+                    <label>Stage</label>
+                    <select class="st-pd-regex-input-stage" title="Chat History: 组装前的聊天消息；Assembled Prompt: 组装后的输入；Director Output: 导演原始输出；Final Message: 注入大纲后的最终文本">${stageOptions}</select>
+                </div>
+                <div class="st-pd-row st-pd-regex-scope-row ${stage === 'history' ? '' : 'st-pd-hidden'}">
+                    <label>Scope</label>
+                    <select class="st-pd-regex-input-scope">${scopeOptions}</select>
+                </div>
             </div>
         `;
 
@@ -1417,6 +4648,20 @@ function renderRegexRules(settings) {
             saveSettings();
         });
 
+        const stageSelect = ruleEl.querySelector('.st-pd-regex-input-stage');
+        stageSelect?.addEventListener('change', () => {
+            rule.stage = stageSelect.value;
+            ruleEl.querySelector('.st-pd-regex-rule-stage').textContent = REGEX_STAGES[rule.stage];
+            ruleEl.querySelector('.st-pd-regex-scope-row')?.classList.toggle('st-pd-hidden', rule.stage !== 'history');
+            saveSettings();
+        });
+
+        const scopeSelect = ruleEl.querySelector('.st-pd-regex-input-scope');
+        scopeSelect?.addEventListener('change', () => {
+            rule.scope = scopeSelect.value;
+            saveSettings();
+        });
+
         // Drag-and-drop events
         ruleEl.addEventListener('dragstart', (e) => {
             e.dataTransfer.effectAllowed = 'move';
@@ -1478,6 +4723,8 @@ function bindRegexUI(settings) {
             pattern: '',
             flags: 'g',
             replacement: '',
+            stage: 'output',
+            scope: 'all',
         });
         saveSettings();
         renderRegexRules(settings);
@@ -1512,6 +4759,177 @@ function bindRegexUI(settings) {
     renderRegexRules(settings);
 }
 
+// ---- Outline Beats UI ----
+
+function updateOutlineModeUI(settings) {
+    const beatsMode = settings.outlineMode === 'beats';
+    document.getElementById('st_pd_outline')?.classList.toggle('st-pd-hidden', beatsMode);
+    document.getElementById('st_pd_beats_editor')?.classList.toggle('st-pd-hidden', !beatsMode);
+}
+
+function renderBeatList(settings) {
+    const container = document.getElementById('st_pd_beat_list');
+    if (!container) return;
+
+    if (!settings.outlineBeats) settings.outlineBeats = [];
+    const beats = settings.outlineBeats;
+    const currentIndex = settings.outlineBeatIndex || 0;
+
+    const progressEl = document.getElementById('st_pd_beat_editor_progress');
+    if (progressEl) progressEl.textContent = getBeatProgressLabel(settings) || 'No beats yet.';
+
+    container.innerHTML = '';
+
+    beats.forEach((beat, i) => {
+        const beatEl = document.createElement('div');
+        const state = i < currentIndex ? ' done' : (i === currentIndex ? ' current' : '');
+        beatEl.className = 'st-pd-beat' + state;
+
+        beatEl.innerHTML = `
+            <div class="st-pd-beat-header">
+                <span class="st-pd-beat-index">${i + 1}</span>
+                <span class="st-pd-beat-title">${escapeHtml(beat.title || '(untitled)')}</span>
+                <div class="st-pd-beat-actions">
+                    <i class="fa-solid fa-location-crosshairs st-pd-beat-jump" title="Set as current beat"></i>
+                    <i class="fa-solid fa-arrow-up st-pd-beat-up" title="Move up"></i>
+                    <i class="fa-solid fa-arrow-down st-pd-beat-down" title="Move down"></i>
+                    <i class="fa-solid fa-chevron-down st-pd-beat-expand" title="Expand/Collapse"></i>
+                    <i class="fa-solid fa-trash st-pd-beat-delete" title="Delete beat"></i>
+                </div>
+            </div>
+            <div class="st-pd-beat-body st-pd-hidden">
+                <div class="st-pd-row">
+                    <label>Title</label>
+                    <input type="text" class="st-pd-beat-input-title" value="${escapeHtml(beat.title || '')}" placeholder="e.g. Act 1: Arrival" />
+                </div>
+                <div class="st-pd-row">
+                    <label>Goal</label>
+                    <textarea class="st-pd-beat-input-goal text_pole" rows="2" placeholder="What should happen in this beat">${escapeHtml(beat.goal || '')}</textarea>
+                </div>
+                <div class="st-pd-row">
+                    <label>Complete When</label>
+                    <input type="text" class="st-pd-beat-input-completion" value="${escapeHtml(beat.completion || '')}" placeholder="(optional) condition for the beat to be done" />
+                </div>
+                <div class="st-pd-row">
+                    <label>Max Rounds</label>
+                    <input type="number" class="st-pd-beat-input-max-rounds" min="0" max="100" value="${beat.maxRounds || 0}" title="0 = 不限；达到轮数后自动进入下一段" />
+                </div>
+            </div>
+        `;
+
+        const body = beatEl.querySelector('.st-pd-beat-body');
+        beatEl.querySelector('.st-pd-beat-expand')?.addEventListener('click', (e) => {
+            body.classList.toggle('st-pd-hidden');
+            e.target.classList.toggle('fa-chevron-down');
+            e.target.classList.toggle('fa-chevron-up');
+        });
+
+        const move = (offset) => {
+            const target = i + offset;
+            if (target < 0 || target >= beats.length) return;
+            [beats[i], beats[target]] = [beats[target], beats[i]];
+            saveSettings();
+            renderBeatList(settings);
+        };
+        beatEl.querySelector('.st-pd-beat-up')?.addEventListener('click', () => move(-1));
+        beatEl.querySelector('.st-pd-beat-down')?.addEventListener('click', () => move(1));
+
+        beatEl.querySelector('.st-pd-beat-jump')?.addEventListener('click', () => {
+            setBeatIndex(settings, i, 'set manually');
+        });
+
+        beatEl.querySelector('.st-pd-beat-delete')?.addEventListener('click', () => {
+            beats.splice(i, 1);
+            if (currentIndex > i) settings.outlineBeatIndex = currentIndex - 1;
+            saveSettings();
+            renderBeatList(settings);
+            updateStatusUI(settings);
+        });
+
+        const titleInput = beatEl.querySelector('.st-pd-beat-input-title');
+        titleInput?.addEventListener('input', () => {
+            beat.title = titleInput.value;
+            beatEl.querySelector('.st-pd-beat-title').textContent = beat.title || '(untitled)';
+            saveSettings();
+        });
+
+        const goalInput = beatEl.querySelector('.st-pd-beat-input-goal');
+        goalInput?.addEventListener('input', () => {
+            beat.goal = goalInput.value;
+            saveSettings();
+        });
+
+        const completionInput = beatEl.querySelector('.st-pd-beat-input-completion');
+        completionInput?.addEventListener('input', () => {
+            beat.completion = completionInput.value;
+            saveSettings();
+        });
+
+        const maxRoundsInput = beatEl.querySelector('.st-pd-beat-input-max-rounds');
+        maxRoundsInput?.addEventListener('change', () => {
+            beat.maxRounds = parseInt(maxRoundsInput.value) || 0;
+            saveSettings();
+        });
+
+        container.appendChild(beatEl);
+    });
+}
+
+function bindOutlineBeatsUI(settings) {
+    const modeEl = document.getElementById('st_pd_outline_mode');
+    if (modeEl) {
+        modeEl.value = settings.outlineMode;
+        modeEl.addEventListener('change', () => {
+            settings.outlineMode = modeEl.value;
+            saveSettings();
+            updateOutlineModeUI(settings);
+            updateStatusUI(settings);
+            renderPromptManager(settings);
+        });
+    }
+
+    const advanceEl = document.getElementById('st_pd_beat_advance_mode');
+    if (advanceEl) {
+        advanceEl.value = settings.beatAdvanceMode;
+        advanceEl.addEventListener('change', () => {
+            settings.beatAdvanceMode = advanceEl.value;
+            saveSettings();
+        });
+    }
+
+    const lookaheadEl = document.getElementById('st_pd_beat_lookahead');
+    if (lookaheadEl) {
+        lookaheadEl.value = settings.outlineLookahead;
+        lookaheadEl.addEventListener('change', () => {
+            const value = parseInt(lookaheadEl.value);
+            settings.outlineLookahead = Number.isNaN(value) ? 2 : value;
+            saveSettings();
+        });
+    }
+
+    document.getElementById('st_pd_beat_add')?.addEventListener('click', () => {
+        settings.outlineBeats.push(createBeat(`Beat ${settings.outlineBeats.length + 1}`));
+        saveSettings();
+        renderBeatList(settings);
+        updateStatusUI(settings);
+    });
+
+    document.getElementById('st_pd_beat_prev')?.addEventListener('click', () => {
+        setBeatIndex(settings, (settings.outlineBeatIndex || 0) - 1, 'set manually');
+    });
+
+    document.getElementById('st_pd_beat_next')?.addEventListener('click', () => {
+        setBeatIndex(settings, (settings.outlineBeatIndex || 0) + 1, 'set manually');
+    });
+
+    document.getElementById('st_pd_beat_reset')?.addEventListener('click', () => {
+        setBeatIndex(settings, 0, 'progress reset');
+    });
+
+    updateOutlineModeUI(settings);
+    renderBeatList(settings);
+}
+
 // ---- Settings Panel Binding ----
 
 function bindSettingsUI(settings) {
@@ -1533,46 +4951,70 @@ function bindSettingsUI(settings) {
         });
     }
 
+    const candidatesEl = document.getElementById('st_pd_preview_candidates');
+    if (candidatesEl) {
+        candidatesEl.value = settings.previewCandidates;
+        candidatesEl.addEventListener('change', () => {
+            settings.previewCandidates = Math.max(1, Math.min(5, parseInt(candidatesEl.value) || 1));
+            candidatesEl.value = settings.previewCandidates;
+            saveSettings();
+        });
+    }
+
     const roundsEl = document.getElementById('st_pd_rounds');
     if (roundsEl) {
         roundsEl.value = settings.rounds;
         roundsEl.addEventListener('change', () => {
             settings.rounds = parseInt(roundsEl.value) || 5;
             saveSettings();
+            // Phase ranges may be relative to the round count
+            renderPacingList(settings);
         });
     }
 
-    document.getElementById('st_pd_start')?.addEventListener('click', () => startDirector(settings));
-    document.getElementById('st_pd_stop')?.addEventListener('click', () => stopDirector(settings));
-
-    // chatu8 wait
-    const waitChatu8El = document.getElementById('st_pd_wait_chatu8');
-    if (waitChatu8El) {
-        waitChatu8El.checked = settings.waitForChatu8;
-        waitChatu8El.addEventListener('change', () => {
-            settings.waitForChatu8 = waitChatu8El.checked;
+    const deliveryEl = document.getElementById('st_pd_delivery_mode');
+    const injectOptionsEl = document.getElementById('st_pd_inject_options');
+    if (deliveryEl) {
+        deliveryEl.value = settings.deliveryMode;
+        injectOptionsEl?.classList.toggle('st-pd-hidden', settings.deliveryMode !== 'inject');
+        deliveryEl.addEventListener('change', () => {
+            settings.deliveryMode = deliveryEl.value;
+            injectOptionsEl?.classList.toggle('st-pd-hidden', settings.deliveryMode !== 'inject');
             saveSettings();
         });
     }
 
-    const chatu8TimeoutEl = document.getElementById('st_pd_chatu8_timeout');
-    if (chatu8TimeoutEl) {
-        chatu8TimeoutEl.value = settings.chatu8Timeout;
-        chatu8TimeoutEl.addEventListener('change', () => {
-            settings.chatu8Timeout = parseInt(chatu8TimeoutEl.value) || 300;
+    const injectDepthEl = document.getElementById('st_pd_inject_depth');
+    if (injectDepthEl) {
+        injectDepthEl.value = settings.injectDepth;
+        injectDepthEl.addEventListener('change', () => {
+            settings.injectDepth = parseInt(injectDepthEl.value) || 0;
             saveSettings();
         });
     }
 
-    const chatu8StartEl = document.getElementById('st_pd_chatu8_start_timeout');
-    if (chatu8StartEl) {
-        chatu8StartEl.value = settings.chatu8StartTimeout;
-        chatu8StartEl.addEventListener('change', () => {
-            settings.chatu8StartTimeout = parseInt(chatu8StartEl.value) || 15;
+    const injectRoleEl = document.getElementById('st_pd_inject_role');
+    if (injectRoleEl) {
+        injectRoleEl.value = settings.injectRole;
+        injectRoleEl.addEventListener('change', () => {
+            settings.injectRole = injectRoleEl.value;
             saveSettings();
         });
     }
 
+    document.getElementById('st_pd_start')?.addEventListener('click', () => startDirector(settings));
+    document.getElementById('st_pd_stop')?.addEventListener('click', () => stopDirector(settings));
+
+    // Wait conditions
+    document.getElementById('st_pd_wait_add')?.addEventListener('click', () => {
+        const kindEl = document.getElementById('st_pd_wait_add_kind');
+        settings.waitConditions.push(createWaitCondition(kindEl?.value || 'dom'));
+        saveSettings();
+        renderWaitConditions(settings);
+    });
+    renderWaitConditions(settings);
+    watchWaitEvents(settings);
+
     const connEl = document.getElementById('st_pd_connection_mode');
     if (connEl) {
         connEl.value = settings.connectionMode;
@@ -1651,6 +5093,26 @@ function bindSettingsUI(settings) {
         });
     }
 
+    const ctxModeEl = document.getElementById('st_pd_context_mode');
+    if (ctxModeEl) {
+        ctxModeEl.value = settings.contextMode;
+        ctxModeEl.addEventListener('change', () => {
+            settings.contextMode = ctxModeEl.value;
+            updateContextModeUI(settings);
+            saveSettings();
+        });
+    }
+    updateContextModeUI(settings);
+
+    const ctxBudgetEl = document.getElementById('st_pd_context_token_budget');
+    if (ctxBudgetEl) {
+        ctxBudgetEl.value = settings.contextTokenBudget;
+        ctxBudgetEl.addEventListener('change', () => {
+            settings.contextTokenBudget = parseInt(ctxBudgetEl.value) || 4000;
+            saveSettings();
+        });
+    }
+
     const streamingEl = document.getElementById('st_pd_streaming');
     if (streamingEl) {
         streamingEl.checked = !!settings.streaming;
@@ -1660,6 +5122,205 @@ function bindSettingsUI(settings) {
         });
     }
 
+    // Structured output
+    const structuredEl = document.getElementById('st_pd_structured_output');
+    if (structuredEl) {
+        structuredEl.checked = !!settings.structuredOutput;
+        structuredEl.addEventListener('change', () => {
+            settings.structuredOutput = structuredEl.checked;
+            saveSettings();
+            renderPromptManager(settings);
+        });
+    }
+
+    // Repetition guard
+    const repetitionEl = document.getElementById('st_pd_repetition_guard');
+    if (repetitionEl) {
+        repetitionEl.checked = !!settings.repetitionGuard;
+        repetitionEl.addEventListener('change', () => {
+            settings.repetitionGuard = repetitionEl.checked;
+            saveSettings();
+        });
+    }
+    const repetitionFields = [
+        ['st_pd_repetition_window', 'repetitionWindow', 5, v => Math.max(1, parseInt(v))],
+        ['st_pd_repetition_max_retries', 'repetitionMaxRetries', 2, v => parseInt(v)],
+    ];
+    for (const [id, key, fallback, parse] of repetitionFields) {
+        const el = document.getElementById(id);
+        if (!el) continue;
+        el.value = settings[key];
+        el.addEventListener('change', () => {
+            const value = parse(el.value);
+            settings[key] = Number.isFinite(value) ? value : fallback;
+            saveSettings();
+        });
+    }
+    const repetitionThresholdEl = document.getElementById('st_pd_repetition_threshold');
+    if (repetitionThresholdEl) {
+        // Shown as a percentage, stored as 0-1
+        repetitionThresholdEl.value = Math.round((settings.repetitionThreshold ?? 0.6) * 100);
+        repetitionThresholdEl.addEventListener('change', () => {
+            const value = parseFloat(repetitionThresholdEl.value);
+            settings.repetitionThreshold = Number.isFinite(value) ? Math.max(1, Math.min(100, value)) / 100 : 0.6;
+            repetitionThresholdEl.value = Math.round(settings.repetitionThreshold * 100);
+            saveSettings();
+        });
+    }
+
+    // Self-critique
+    const critiqueEl = document.getElementById('st_pd_critique_enabled');
+    if (critiqueEl) {
+        critiqueEl.checked = !!settings.critiqueEnabled;
+        critiqueEl.addEventListener('change', () => {
+            settings.critiqueEnabled = critiqueEl.checked;
+            saveSettings();
+        });
+    }
+    const critiqueNumberFields = [
+        ['st_pd_critique_threshold', 'critiqueThreshold', 7, parseFloat],
+        ['st_pd_critique_max_attempts', 'critiqueMaxAttempts', 2, v => parseInt(v)],
+    ];
+    for (const [id, key, fallback, parse] of critiqueNumberFields) {
+        const el = document.getElementById(id);
+        if (!el) continue;
+        el.value = settings[key];
+        el.addEventListener('change', () => {
+            const value = parse(el.value);
+            settings[key] = Number.isFinite(value) ? value : fallback;
+            saveSettings();
+        });
+    }
+    const critiqueActionEl = document.getElementById('st_pd_critique_action');
+    if (critiqueActionEl) {
+        critiqueActionEl.value = settings.critiqueAction;
+        critiqueActionEl.addEventListener('change', () => {
+            settings.critiqueAction = critiqueActionEl.value;
+            saveSettings();
+        });
+    }
+    const critiqueRubricEl = document.getElementById('st_pd_critique_rubric');
+    if (critiqueRubricEl) {
+        critiqueRubricEl.value = settings.critiqueRubric;
+        critiqueRubricEl.addEventListener('input', () => {
+            settings.critiqueRubric = critiqueRubricEl.value;
+            saveSettings();
+        });
+    }
+    document.getElementById('st_pd_critique_rubric_reset')?.addEventListener('click', () => {
+        settings.critiqueRubric = DEFAULT_CRITIQUE_RUBRIC;
+        if (critiqueRubricEl) critiqueRubricEl.value = DEFAULT_CRITIQUE_RUBRIC;
+        saveSettings();
+    });
+
+    // Pacing schedule
+    const pacingEl = document.getElementById('st_pd_pacing_enabled');
+    if (pacingEl) {
+        pacingEl.checked = !!settings.pacingEnabled;
+        pacingEl.addEventListener('change', () => {
+            settings.pacingEnabled = pacingEl.checked;
+            saveSettings();
+            updateStatusUI(settings);
+        });
+    }
+    document.getElementById('st_pd_pacing_add')?.addEventListener('click', () => {
+        if (!settings.pacingPhases) settings.pacingPhases = [];
+        settings.pacingPhases.push(createPhase(`Phase ${settings.pacingPhases.length + 1}`));
+        saveSettings();
+        renderPacingList(settings);
+    });
+    renderPacingList(settings);
+
+    // Director tools
+    const toolsEl = document.getElementById('st_pd_director_tools');
+    if (toolsEl) {
+        toolsEl.checked = !!settings.directorTools;
+        toolsEl.addEventListener('change', () => {
+            settings.directorTools = toolsEl.checked;
+            saveSettings();
+        });
+    }
+
+    // Stop conditions
+    const stopCheckboxes = [
+        ['st_pd_stop_sentinel_enabled', 'stopOnSentinel'],
+        ['st_pd_stop_regex_enabled', 'stopOnAiRegex'],
+        ['st_pd_stop_budget_enabled', 'stopOnBudget'],
+        ['st_pd_stop_outline_enabled', 'stopOnOutlineComplete'],
+        ['st_pd_stop_repeats_enabled', 'stopOnRepeats'],
+    ];
+    for (const [id, key] of stopCheckboxes) {
+        const el = document.getElementById(id);
+        if (!el) continue;
+        el.checked = !!settings[key];
+        el.addEventListener('change', () => {
+            settings[key] = el.checked;
+            saveSettings();
+        });
+    }
+
+    const stopTextFields = [
+        ['st_pd_stop_sentinel', 'stopSentinel'],
+        ['st_pd_stop_regex', 'stopAiRegex'],
+        ['st_pd_stop_regex_flags', 'stopAiRegexFlags'],
+        ['st_pd_stop_budget_unit', 'stopBudgetUnit'],
+    ];
+    for (const [id, key] of stopTextFields) {
+        const el = document.getElementById(id);
+        if (!el) continue;
+        el.value = settings[key];
+        el.addEventListener(el.tagName === 'SELECT' ? 'change' : 'input', () => {
+            settings[key] = el.value;
+            saveSettings();
+        });
+    }
+
+    const stopBudgetEl = document.getElementById('st_pd_stop_budget_limit');
+    if (stopBudgetEl) {
+        stopBudgetEl.value = settings.stopBudgetLimit;
+        stopBudgetEl.addEventListener('change', () => {
+            settings.stopBudgetLimit = parseInt(stopBudgetEl.value) || 50000;
+            saveSettings();
+        });
+    }
+
+    const stopRepeatEl = document.getElementById('st_pd_stop_repeat_count');
+    if (stopRepeatEl) {
+        stopRepeatEl.value = settings.stopRepeatCount;
+        stopRepeatEl.addEventListener('change', () => {
+            settings.stopRepeatCount = parseInt(stopRepeatEl.value) || 3;
+            saveSettings();
+        });
+    }
+
+    // Retry & fallback
+    const retryFields = [
+        ['st_pd_retry_count', 'retryCount', 2],
+        ['st_pd_retry_base_delay', 'retryBaseDelay', 2],
+        ['st_pd_retry_max_delay', 'retryMaxDelay', 60],
+    ];
+    for (const [id, key, fallback] of retryFields) {
+        const el = document.getElementById(id);
+        if (!el) continue;
+        el.value = settings[key];
+        el.addEventListener('change', () => {
+            const value = parseInt(el.value);
+            settings[key] = Number.isNaN(value) ? fallback : value;
+            saveSettings();
+        });
+    }
+
+    document.getElementById('st_pd_fallback_add')?.addEventListener('click', () => {
+        const name = document.getElementById('st_pd_fallback_select')?.value;
+        if (!name) {
+            toastr.warning('No saved API config to add.');
+            return;
+        }
+        settings.fallbackChain.push(name);
+        saveSettings();
+        renderFallbackChain(settings);
+    });
+
     // API Config management
     populateApiConfigDropdown(settings);
 
@@ -1723,6 +5384,7 @@ function bindSettingsUI(settings) {
         );
         if (confirmResult !== 1 && confirmResult !== true) return;
         delete settings.apiConfigs[name];
+        settings.fallbackChain = (settings.fallbackChain || []).filter(n => n !== name);
         const remaining = Object.keys(settings.apiConfigs);
         settings.selectedApiConfig = remaining.length > 0 ? remaining[0] : '';
         populateApiConfigDropdown(settings);
@@ -1760,7 +5422,7 @@ function bindSettingsUI(settings) {
             log(`连接测试成功 (${elapsed}s): ${result.message}`);
             toastr.success(`连接成功！延迟: ${elapsed}s`);
         } else {
-            handleError(new Error(result.message), '连接测试');
+            handleError(result.error || new Error(result.message), '连接测试');
         }
     });
 
@@ -1786,7 +5448,7 @@ function bindSettingsUI(settings) {
             }
             toastr.success(`Fetched ${models.length} models.`);
         } catch (err) {
-            toastr.error(`Failed to fetch models: ${err.message}`);
+            handleError(err, 'Fetch models');
         } finally {
             if (btn) btn.classList.remove('loading');
         }
@@ -1887,6 +5549,18 @@ function bindSettingsUI(settings) {
 
     // Regex Filters
     bindRegexUI(settings);
+
+    // Outline beats
+    bindOutlineBeatsUI(settings);
+
+    // Direction history
+    bindDirectionHistoryUI();
+
+    // Character / chat overrides
+    bindOverridesUI(settings);
+
+    // Group chats
+    bindGroupUI(settings);
 }
 
 function bindPresetUI(settings) {
@@ -2006,6 +5680,177 @@ function bindPresetUI(settings) {
     });
 }
 
+// ---- Slash Commands ----
+
+function getStatusSummary(settings) {
+    return {
+        enabled: settings.enabled,
+        running: settings.running,
+        processing: isProcessing,
+        round: settings.currentRound,
+        rounds: settings.rounds,
+        mode: settings.mode,
+        preset: settings.selectedPreset,
+    };
+}
+
+function setOutline(settings, text, append) {
+    const current = settings.outline || '';
+    settings.outline = append && current.trim() ? `${current.trimEnd()}\n${text}` : text;
+    const outlineEl = document.getElementById('st_pd_outline');
+    if (outlineEl) outlineEl.value = settings.outline;
+    saveSettings();
+    renderPromptManager(settings);
+}
+
+function registerSlashCommands() {
+    const context = SillyTavern.getContext();
+    const {
+        SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE,
+    } = context;
+    if (!SlashCommandParser || !SlashCommand) {
+        log('Slash command API not available, skipping command registration.', 'WARN');
+        return;
+    }
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'pd-start',
+        callback: async (_args, value) => {
+            const settings = getSettings();
+            const rounds = parseInt(value);
+            if (!Number.isNaN(rounds) && rounds > 0) {
+                settings.rounds = rounds;
+                const roundsEl = document.getElementById('st_pd_rounds');
+                if (roundsEl) roundsEl.value = rounds;
+            }
+            // Don't block the script on the whole first round
+            startDirector(settings);
+            return '';
+        },
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'number of rounds (defaults to the panel setting)',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                isRequired: false,
+            }),
+        ],
+        helpString: 'Start the Plot Director loop, optionally with a round count. Example: <code>/pd-start 10</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'pd-stop',
+        callback: async () => {
+            stopDirector(getSettings());
+            return '';
+        },
+        helpString: 'Stop the Plot Director loop.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'pd-status',
+        callback: async () => JSON.stringify(getStatusSummary(getSettings())),
+        returns: 'JSON object with enabled, running, processing, round, rounds, mode and preset',
+        helpString: 'Return the Plot Director status as JSON.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'pd-skip',
+        callback: async () => {
+            const skipped = skipCurrentRound(getSettings());
+            if (!skipped) toastr.info('Plot Director: no round in progress.');
+            return String(skipped);
+        },
+        returns: 'true if a round was skipped',
+        helpString: 'Skip the direction currently being generated without stopping the loop.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'pd-generate',
+        callback: async () => {
+            if (isProcessing) {
+                toastr.warning('Plot Director is already generating a direction.');
+                return '';
+            }
+            const settings = getSettings();
+            // Held like a round's controller, so /pd-stop aborts it and no round starts meanwhile
+            const controller = new AbortController();
+            currentAbortController = controller;
+            isProcessing = true;
+            oneShotActive = true;
+            updateStatusUI(settings);
+            try {
+                const direction = await callDirectorLLM(settings, controller.signal);
+                const structured = settings.structuredOutput && direction?.trim()
+                    ? await resolveStructuredOutput(settings, direction, controller.signal)
+                    : null;
+                if (settings.structuredOutput && direction?.trim() && !structured) {
+                    toastr.warning('Director output is not valid structured JSON.');
+                    return '';
+                }
+                const source = structured ? structured.direction : direction;
+                let text = applyTextRegex(source || '', settings.regexRules, 'output').trim();
+                if (isStoryVariablesEnabled(settings)) {
+                    let tagUpdates;
+                    ({ text, updates: tagUpdates } = extractVariableTags(text));
+                    const updates = { ...tagUpdates, ...normalizeVariableUpdates(structured?.variables) };
+                    if (Object.keys(updates).length > 0) updateStoryVariables(updates);
+                }
+                showLLMOutput(text);
+                log(`One-shot direction generated (${text.length} chars).`);
+                return text;
+            } catch (err) {
+                if (err.name === 'AbortError') {
+                    log('/pd-generate aborted.');
+                } else {
+                    handleError(err, '/pd-generate');
+                }
+                return '';
+            } finally {
+                if (currentAbortController === controller) currentAbortController = null;
+                isProcessing = false;
+                oneShotActive = false;
+                updateStatusUI(settings);
+                if (roundDeferred) {
+                    roundDeferred = false;
+                    continueAfterReply(settings);
+                }
+            }
+        },
+        returns: 'generated direction text',
+        helpString: 'Generate a single direction with the current preset and return it to the pipe without sending it.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'pd-outline',
+        callback: async (args, value) => {
+            const settings = getSettings();
+            const text = String(value ?? '').trim();
+            if (!text) return settings.outline || '';
+            setOutline(settings, text, args.mode === 'append');
+            log(`Outline ${args.mode === 'append' ? 'appended' : 'set'} via slash command.`);
+            return settings.outline;
+        },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'mode',
+                description: 'set replaces the outline, append adds a new line',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'set',
+                enumList: ['set', 'append'],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'outline text; omit to return the current outline',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false,
+            }),
+        ],
+        returns: 'the resulting outline',
+        helpString: 'Set or append to the Plot Director outline. Example: <code>/pd-outline mode=append Act 2: the storm hits.</code>',
+    }));
+}
+
 // ---- Tab System ----
 
 function initTabSystem() {
@@ -2122,6 +5967,7 @@ jQuery(async function () {
         // 初始化可折叠区域
         initCollapsibleSections();
 
+        // A run interrupted by reload is resumed per chat (see offerResumeRun)
         if (settings.running) {
             settings.running = false;
             settings.currentRound = 0;
@@ -2129,12 +5975,27 @@ jQuery(async function () {
             updateStatusUI(settings);
         }
 
+        // Public API for other extensions
+        window.stPlotDirector = { registerWaitCondition, unregisterWaitCondition };
+
         if (!eventsBound) {
             context.eventSource.on(context.eventTypes.GENERATION_ENDED, onGenerationEnded);
+            context.eventSource.on(context.eventTypes.GENERATION_STOPPED, clearInjectedPrompt);
+            context.eventSource.on(context.eventTypes.CHAT_CHANGED, onChatChanged);
+            context.eventSource.on(context.eventTypes.USER_MESSAGE_RENDERED, hideDirectionMessages);
+            context.eventSource.on(context.eventTypes.MORE_MESSAGES_LOADED, hideDirectionMessages);
+            if (context.eventTypes.WORLD_INFO_ACTIVATED) {
+                context.eventSource.on(context.eventTypes.WORLD_INFO_ACTIVATED, onWorldInfoActivated);
+            }
+            registerSlashCommands();
             eventsBound = true;
         }
 
         log('Extension loaded.');
+
+        // Chat may already be open when the extension loads
+        applyOverrides(settings);
+        offerResumeRun();
     } catch (err) {
         console.error('[PlotDirector] Initialization failed:', err);
         toastr.error(`Plot Director initialization failed: ${err.message}`);
@@ -1,6 +1,7 @@
 /**
  * LLM API call wrapper for st-plot-director.
- * Supports OpenAI-compatible and Claude APIs, via proxy or direct.
+ * Supports OpenAI-compatible, Claude, Google Gemini and Ollama APIs, via proxy or direct.
+ * Request failures are thrown as ApiError so callers can classify them.
  */
 
 const DEFAULT_TIMEOUT_MS = 60_000;
@@ -17,6 +18,183 @@ function combinedSignal(signal, timeoutMs = DEFAULT_TIMEOUT_MS) {
     return AbortSignal.any(signals);
 }
 
+/**
+ * Parse a Retry-After header value (delta-seconds or HTTP date).
+ * @param {string|null} value - Raw header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+        return Math.max(0, date - Date.now());
+    }
+    return null;
+}
+
+/**
+ * Structured error for failed LLM API requests.
+ * `code` is a coarse classification used for friendly messages and retry decisions:
+ * auth, forbidden, rate_limit, quota, context_length, content_filter, invalid_model,
+ * bad_request, server, timeout, network, bad_response.
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message - Human-readable message
+     * @param {object} [details]
+     * @param {number} [details.status] - HTTP status (0 for network/timeout failures)
+     * @param {string} [details.provider] - 'proxy', 'openai', 'claude', 'gemini' or 'ollama'
+     * @param {string} [details.code] - Error classification
+     * @param {object|string|null} [details.body] - Parsed provider error body (raw text if not JSON)
+     * @param {number|null} [details.retryAfterMs] - Server-requested delay before retrying
+     * @param {boolean} [details.retryable] - Whether retrying the same request may succeed
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = details.status ?? 0;
+        this.provider = details.provider || '';
+        this.code = details.code || 'bad_request';
+        this.body = details.body ?? null;
+        this.retryAfterMs = details.retryAfterMs ?? null;
+        this.retryable = details.retryable ?? false;
+    }
+}
+
+const RETRYABLE_CODES = new Set(['rate_limit', 'server', 'timeout', 'network']);
+
+/**
+ * Pull the provider's error object out of a response body.
+ * OpenAI and ST proxy: { error: { message, type, code } }
+ * Claude: { type: 'error', error: { type, message } }
+ * Gemini: { error: { code, message, status } }
+ * Ollama: { error: 'message' }
+ */
+function extractProviderError(body) {
+    if (!body || typeof body !== 'object') return null;
+    if (body.error && typeof body.error === 'object') return body.error;
+    if (typeof body.error === 'string') return { message: body.error };
+    if (typeof body.message === 'string') return { message: body.message };
+    return null;
+}
+
+/**
+ * Classify an HTTP failure using the status and provider error fields.
+ * @returns {string} Error code
+ */
+function classifyError(status, providerError) {
+    const type = String(providerError?.type || '').toLowerCase();
+    const code = String(providerError?.code || '').toLowerCase();
+    const message = String(providerError?.message || '').toLowerCase();
+
+    if (code === 'context_length_exceeded' || /context length|context window|prompt is too long|maximum context|too many tokens/.test(message)) {
+        return 'context_length';
+    }
+    if (code === 'content_filter' || code === 'content_policy_violation' || /content (filter|policy|management)|safety system/.test(message)) {
+        return 'content_filter';
+    }
+    if (code === 'model_not_found' || type === 'not_found_error' || /model.*(not found|does not exist|not exist|invalid|unknown)|(invalid|unknown) model/.test(message)) {
+        return 'invalid_model';
+    }
+    if (code === 'insufficient_quota' || /insufficient[_ ]quota|credit balance|billing/.test(message)) {
+        return 'quota';
+    }
+    if (status === 401 || type === 'authentication_error' || code === 'invalid_api_key' || /api key not valid/.test(message)) return 'auth';
+    if (status === 403 || type === 'permission_error') return 'forbidden';
+    if (status === 429 || type === 'rate_limit_error') return 'rate_limit';
+    if (status === 408) return 'timeout';
+    if (status >= 500 || type === 'overloaded_error' || type === 'api_error') return 'server';
+    return 'bad_request';
+}
+
+/**
+ * Build an ApiError for a non-OK response.
+ * @param {string} provider - Provider id
+ * @param {string} label - Request label used in the message
+ * @param {Response} response - Failed fetch response
+ * @returns {Promise<ApiError>}
+ */
+async function responseError(provider, label, response) {
+    const text = await response.text();
+    let body = text;
+    try {
+        body = JSON.parse(text);
+    } catch {
+        // Keep raw text body
+    }
+    const providerError = extractProviderError(body);
+    const code = classifyError(response.status, providerError);
+    const detail = providerError?.message || text;
+    return new ApiError(`${label} request failed (${response.status}): ${detail}`, {
+        status: response.status,
+        provider,
+        code,
+        body,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+        retryable: RETRYABLE_CODES.has(code),
+    });
+}
+
+/**
+ * fetch() wrapper that turns every failure except a user abort into an ApiError.
+ * @param {string} provider - Provider id
+ * @param {string} label - Request label used in messages
+ * @param {string} url - Request URL
+ * @param {RequestInit} init - fetch options
+ * @returns {Promise<Response>} OK response
+ */
+async function apiFetch(provider, label, url, init) {
+    let response;
+    try {
+        response = await fetch(url, init);
+    } catch (err) {
+        if (err.name === 'TimeoutError') {
+            throw new ApiError(`${label} request timed out`, { provider, code: 'timeout', retryable: true });
+        }
+        if (err instanceof TypeError) {
+            throw new ApiError(`${label} network error: ${err.message}`, { provider, code: 'network', retryable: true });
+        }
+        throw err;
+    }
+    if (!response.ok) {
+        throw await responseError(provider, label, response);
+    }
+    return response;
+}
+
+/**
+ * Error for a 200 response whose choice was cut off by the provider's content filter.
+ * @param {string} provider - Provider id
+ * @param {string} label - Request label used in the message
+ * @param {object} body - Parsed response body
+ * @returns {ApiError}
+ */
+function contentFilterError(provider, label, body) {
+    return new ApiError(`${label} response blocked by content filter`, {
+        status: 200,
+        provider,
+        code: 'content_filter',
+        body,
+    });
+}
+
+/**
+ * Whether a failed request is worth retrying: rate limits, server errors,
+ * timeouts and network failures. User aborts are never retried.
+ * @param {Error} error - Error thrown by a generate call
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+    if (!error || error.name === 'AbortError') return false;
+    if (error instanceof ApiError) return error.retryable;
+    // Errors thrown mid-stream (body read) are not wrapped
+    return error.name === 'TimeoutError' || error instanceof TypeError;
+}
+
 /**
  * Read an SSE stream and accumulate text tokens.
  * @param {Response} response - Fetch response with streaming body
@@ -54,6 +232,71 @@ async function readSSEStream(response, parseChunk, onToken) {
     return fullText;
 }
 
+/**
+ * Read a newline-delimited JSON stream (Ollama) and accumulate text tokens.
+ * @param {Response} response - Fetch response with streaming body
+ * @param {Function} parseChunk - Extracts token text from a parsed JSON line, returns string or null
+ * @param {Function} [onToken] - Called with each incremental token
+ * @returns {Promise<string>} Full accumulated text
+ */
+async function readNDJSONStream(response, parseChunk, onToken) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let fullText = '';
+
+    const handleLine = (line) => {
+        if (!line.trim()) return;
+        let json;
+        try {
+            json = JSON.parse(line);
+        } catch {
+            // Skip malformed lines
+            return;
+        }
+        const token = parseChunk(json);
+        if (token) {
+            fullText += token;
+            if (onToken) onToken(token);
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+    return fullText;
+}
+
+/**
+ * Merge consecutive messages that share a role into one message.
+ * Multi-block prompts often produce runs like system, system or user, user,
+ * which some backends (Claude in particular) reject.
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @returns {Array<{role: string, content: string}>} New merged array
+ */
+export function mergeConsecutiveRoles(messages) {
+    const merged = [];
+    for (const msg of messages) {
+        if (merged.length > 0 && merged[merged.length - 1].role === msg.role) {
+            merged[merged.length - 1].content += '\n\n' + msg.content;
+        } else {
+            merged.push({ ...msg });
+        }
+    }
+    return merged;
+}
+
+// ST chat completion source names that differ from our apiType
+const PROXY_SOURCES = {
+    gemini: 'makersuite',
+};
+
 /**
  * Generate via SillyTavern's proxy endpoint.
  * @param {Array} messages - Chat messages array
@@ -63,37 +306,41 @@ async function readSSEStream(response, parseChunk, onToken) {
  * @param {AbortSignal} [options.signal] - Abort signal
  * @param {boolean} [options.streaming] - Enable streaming
  * @param {Function} [options.onToken] - Streaming token callback
+ * @param {object} [options.jsonSchema] - Ask for JSON matching this schema where the provider supports it
  * @returns {Promise<string>} Generated text
  */
 export async function generateViaProxy(messages, settings, getRequestHeaders, options = {}) {
     const streaming = options.streaming && typeof options.onToken === 'function';
+    if (settings.apiType === 'ollama') {
+        throw new Error('Ollama is not a chat completion source in SillyTavern; use Direct Request mode');
+    }
 
     const body = {
-        chat_completion_source: settings.apiType,
-        messages: messages,
+        chat_completion_source: PROXY_SOURCES[settings.apiType] || settings.apiType,
+        messages: mergeConsecutiveRoles(messages),
         model: settings.model,
         temperature: settings.temperature,
         max_tokens: settings.maxTokens,
         stream: streaming,
     };
 
+    if (options.jsonSchema) {
+        // Mapped by ST to the source's own structured output parameter
+        body.json_schema = { name: 'plot_direction', strict: false, value: options.jsonSchema };
+    }
+
     if (settings.apiUrl) {
         body.reverse_proxy = settings.apiUrl;
         body.proxy_password = settings.apiKey;
     }
 
-    const response = await fetch('/api/backends/chat-completions/generate', {
+    const response = await apiFetch('proxy', 'Proxy', '/api/backends/chat-completions/generate', {
         method: 'POST',
         headers: getRequestHeaders(),
         body: JSON.stringify(body),
         signal: combinedSignal(options.signal),
     });
 
-    if (!response.ok) {
-        const text = await response.text();
-        throw new Error(`Proxy request failed (${response.status}): ${text}`);
-    }
-
     if (streaming) {
         return readSSEStream(response, (data) => {
             const json = JSON.parse(data);
@@ -107,14 +354,32 @@ export async function generateViaProxy(messages, settings, getRequestHeaders, op
     if (typeof data === 'string') {
         return data;
     }
+    // ST may forward upstream failures with a 200 status
+    const providerError = extractProviderError(data?.error ? data : null);
+    if (providerError) {
+        const code = classifyError(0, providerError);
+        throw new ApiError(`Proxy request failed: ${providerError.message || 'unknown error'}`, {
+            provider: 'proxy',
+            code,
+            body: data,
+            retryable: RETRYABLE_CODES.has(code),
+        });
+    }
     if (data.choices && data.choices[0]) {
-        return data.choices[0].message?.content || data.choices[0].text || '';
+        const content = data.choices[0].message?.content || data.choices[0].text || '';
+        if (!content && data.choices[0].finish_reason === 'content_filter') {
+            throw contentFilterError('proxy', 'Proxy', data);
+        }
+        return content;
     }
     if (data.content && data.content[0]) {
         return data.content[0].text || '';
     }
+    if (data.stop_reason === 'refusal') {
+        throw contentFilterError('proxy', 'Proxy', data);
+    }
 
-    throw new Error('Unexpected proxy response format');
+    throw new ApiError('Unexpected proxy response format', { status: 200, provider: 'proxy', code: 'bad_response', body: data });
 }
 
 /**
@@ -125,6 +390,10 @@ export async function generateViaProxy(messages, settings, getRequestHeaders, op
  * @param {AbortSignal} [options.signal] - Abort signal
  * @param {boolean} [options.streaming] - Enable streaming
  * @param {Function} [options.onToken] - Streaming token callback
+ * @param {object} [options.jsonSchema] - Ask for JSON matching this schema where the provider supports it
+ * @param {Array<{name: string, description: string, parameters: object}>} [options.tools] - Tools the
+ *   model may call (OpenAI and Claude only; disables streaming)
+ * @param {Function} [options.onToolCall] - async (name, args) => result text, for each tool call
  * @returns {Promise<string>} Generated text
  */
 export async function generateDirect(messages, settings, options = {}) {
@@ -134,115 +403,349 @@ export async function generateDirect(messages, settings, options = {}) {
     if (settings.apiType === 'claude') {
         return generateDirectClaude(messages, settings, options);
     }
+    if (settings.apiType === 'gemini') {
+        return generateDirectGemini(messages, settings, options);
+    }
+    if (settings.apiType === 'ollama') {
+        return generateDirectOllama(messages, settings, options);
+    }
     throw new Error(`Unsupported API type: ${settings.apiType}`);
 }
 
-async function generateDirectOpenAI(messages, settings, options = {}) {
-    const streaming = options.streaming && typeof options.onToken === 'function';
-    const url = settings.apiUrl.replace(/\/+$/, '');
+/**
+ * Whether a config can return several completions from one request (`n` parameter).
+ * @param {object} settings - Plugin settings
+ * @returns {boolean}
+ */
+export function supportsChoiceCount(settings) {
+    return settings.connectionMode !== 'proxy' && settings.apiType === 'openai';
+}
 
-    const requestBody = {
-        model: settings.model,
-        messages: messages,
-        temperature: settings.temperature,
-        max_tokens: settings.maxTokens,
-    };
-    if (streaming) requestBody.stream = true;
+/**
+ * Generate several completions in one request via the OpenAI `n` parameter.
+ * Non-streaming; the API may return fewer choices than requested.
+ * @param {Array} messages - Chat messages array
+ * @param {object} settings - Plugin settings
+ * @param {number} n - Number of completions
+ * @param {object} [options] - Optional parameters
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @param {object} [options.jsonSchema] - Ask for a JSON object response
+ * @returns {Promise<string[]>} Non-empty completions
+ */
+export async function generateDirectChoices(messages, settings, n, options = {}) {
+    if (!supportsChoiceCount(settings)) {
+        throw new Error(`The n parameter is not supported for ${settings.connectionMode}/${settings.apiType}`);
+    }
+    const url = settings.apiUrl.replace(/\/+$/, '');
 
-    const response = await fetch(`${url}/chat/completions`, {
+    const response = await apiFetch('openai', 'OpenAI', `${url}/chat/completions`, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${settings.apiKey}`,
         },
-        body: JSON.stringify(requestBody),
+        body: JSON.stringify({
+            model: settings.model,
+            messages: messages,
+            temperature: settings.temperature,
+            max_tokens: settings.maxTokens,
+            n,
+            ...openAIResponseFormat(options.jsonSchema),
+        }),
         signal: combinedSignal(options.signal),
     });
 
-    if (!response.ok) {
-        const text = await response.text();
-        throw new Error(`OpenAI request failed (${response.status}): ${text}`);
+    const data = await response.json();
+    const choices = (data.choices || []).map(c => c.message?.content || '').filter(c => c.trim());
+    if (choices.length === 0) {
+        if (data.choices?.some(c => c.finish_reason === 'content_filter')) {
+            throw contentFilterError('openai', 'OpenAI', data);
+        }
+        throw new ApiError('OpenAI response has no non-empty choices', { status: 200, provider: 'openai', code: 'bad_response', body: data });
     }
+    return choices;
+}
 
-    if (streaming) {
-        return readSSEStream(response, (data) => {
-            const json = JSON.parse(data);
-            return json.choices?.[0]?.delta?.content || null;
-        }, options.onToken);
+/**
+ * JSON mode for OpenAI-compatible APIs. `json_object` rather than `json_schema`,
+ * since many compatible backends only support the former; the schema is checked after.
+ */
+function openAIResponseFormat(jsonSchema) {
+    return jsonSchema ? { response_format: { type: 'json_object' } } : {};
+}
+
+// Model turns with tool calls before tools are withheld and a final answer is forced
+const MAX_TOOL_TURNS = 5;
+
+/**
+ * Run one tool call through the caller's handler. Failures are returned to the
+ * model as text so it can recover instead of aborting the generation.
+ * @returns {Promise<string>} Tool result
+ */
+async function runToolCall(options, name, args) {
+    try {
+        const parsed = typeof args === 'string' ? JSON.parse(args || '{}') : (args || {});
+        const result = await options.onToolCall(name, parsed);
+        return typeof result === 'string' ? result : JSON.stringify(result);
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        return `Error: ${error.message}`;
     }
+}
 
-    const data = await response.json();
-    if (!data.choices?.[0]?.message?.content) {
-        throw new Error('OpenAI response missing choices[0].message.content');
+function getTools(options) {
+    return options.tools?.length && typeof options.onToolCall === 'function' ? options.tools : null;
+}
+
+async function generateDirectOpenAI(messages, settings, options = {}) {
+    const tools = getTools(options);
+    const streaming = !tools && options.streaming && typeof options.onToken === 'function';
+    const url = settings.apiUrl.replace(/\/+$/, '');
+    const conversation = [...messages];
+
+    for (let turn = 0; ; turn++) {
+        const requestBody = {
+            model: settings.model,
+            messages: conversation,
+            temperature: settings.temperature,
+            max_tokens: settings.maxTokens,
+            ...openAIResponseFormat(options.jsonSchema),
+        };
+        if (streaming) requestBody.stream = true;
+        if (tools) {
+            requestBody.tools = tools.map(t => ({
+                type: 'function',
+                function: { name: t.name, description: t.description, parameters: t.parameters },
+            }));
+            if (turn >= MAX_TOOL_TURNS) requestBody.tool_choice = 'none';
+        }
+
+        const response = await apiFetch('openai', 'OpenAI', `${url}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${settings.apiKey}`,
+            },
+            body: JSON.stringify(requestBody),
+            signal: combinedSignal(options.signal),
+        });
+
+        if (streaming) {
+            return readSSEStream(response, (data) => {
+                const json = JSON.parse(data);
+                return json.choices?.[0]?.delta?.content || null;
+            }, options.onToken);
+        }
+
+        const data = await response.json();
+        const message = data.choices?.[0]?.message;
+        if (tools && message?.tool_calls?.length && turn < MAX_TOOL_TURNS) {
+            conversation.push({ role: 'assistant', content: message.content ?? null, tool_calls: message.tool_calls });
+            for (const call of message.tool_calls) {
+                conversation.push({
+                    role: 'tool',
+                    tool_call_id: call.id,
+                    content: await runToolCall(options, call.function?.name, call.function?.arguments),
+                });
+            }
+            continue;
+        }
+
+        if (!message?.content) {
+            if (data.choices?.[0]?.finish_reason === 'content_filter') {
+                throw contentFilterError('openai', 'OpenAI', data);
+            }
+            throw new ApiError('OpenAI response missing choices[0].message.content', { status: 200, provider: 'openai', code: 'bad_response', body: data });
+        }
+        return message.content;
     }
-    return data.choices[0].message.content;
 }
 
+// Claude has no JSON mode; structured output relies on the prompt instruction
 async function generateDirectClaude(messages, settings, options = {}) {
-    const streaming = options.streaming && typeof options.onToken === 'function';
+    const tools = getTools(options);
+    const streaming = !tools && options.streaming && typeof options.onToken === 'function';
     const systemParts = messages.filter(m => m.role === 'system').map(m => m.content);
     const systemText = systemParts.join('\n\n');
     const chatMsgs = messages.filter(m => m.role !== 'system');
     const url = settings.apiUrl.replace(/\/+$/, '');
 
     // Merge consecutive same-role messages (Claude API rejects them)
-    const mergedMsgs = [];
-    for (const msg of chatMsgs) {
-        if (mergedMsgs.length > 0 && mergedMsgs[mergedMsgs.length - 1].role === msg.role) {
-            mergedMsgs[mergedMsgs.length - 1].content += '\n\n' + msg.content;
-        } else {
-            mergedMsgs.push({ ...msg });
-        }
-    }
+    const mergedMsgs = mergeConsecutiveRoles(chatMsgs);
 
     // Claude requires first message to be user role
-    if (mergedMsgs.length > 0 && mergedMsgs[0].role === 'assistant') {
+    if (mergedMsgs.length === 0 || mergedMsgs[0].role === 'assistant') {
         mergedMsgs.unshift({ role: 'user', content: '[Conversation start]' });
     }
 
+    for (let turn = 0; ; turn++) {
+        const body = {
+            model: settings.model,
+            max_tokens: settings.maxTokens,
+            messages: mergedMsgs,
+            temperature: settings.temperature,
+        };
+
+        if (systemText) {
+            body.system = systemText;
+        }
+        if (streaming) body.stream = true;
+        if (tools) {
+            body.tools = tools.map(t => ({ name: t.name, description: t.description, input_schema: t.parameters }));
+            if (turn >= MAX_TOOL_TURNS) body.tool_choice = { type: 'none' };
+        }
+
+        const response = await apiFetch('claude', 'Claude', `${url}/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': settings.apiKey,
+                'anthropic-version': '2023-06-01',
+            },
+            body: JSON.stringify(body),
+            signal: combinedSignal(options.signal),
+        });
+
+        if (streaming) {
+            return readSSEStream(response, (data) => {
+                const json = JSON.parse(data);
+                if (json.type === 'content_block_delta' && json.delta?.type === 'text_delta') {
+                    return json.delta.text;
+                }
+                return null;
+            }, options.onToken);
+        }
+
+        const data = await response.json();
+        const toolUses = (data.content || []).filter(b => b.type === 'tool_use');
+        if (tools && data.stop_reason === 'tool_use' && toolUses.length > 0 && turn < MAX_TOOL_TURNS) {
+            mergedMsgs.push({ role: 'assistant', content: data.content });
+            const results = [];
+            for (const use of toolUses) {
+                results.push({
+                    type: 'tool_result',
+                    tool_use_id: use.id,
+                    content: await runToolCall(options, use.name, use.input),
+                });
+            }
+            mergedMsgs.push({ role: 'user', content: results });
+            continue;
+        }
+
+        // With tools, text may follow a tool_use block or be split into several blocks
+        const text = (data.content || []).filter(b => b.type === 'text').map(b => b.text).join('');
+        if (!text) {
+            if (data.stop_reason === 'refusal') {
+                throw contentFilterError('claude', 'Claude', data);
+            }
+            throw new ApiError('Claude response missing content[0].text', { status: 200, provider: 'claude', code: 'bad_response', body: data });
+        }
+        return text;
+    }
+}
+
+// Gemini finish reasons that mean the output was blocked
+const GEMINI_BLOCKED_REASONS = new Set(['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII']);
+
+function geminiCandidateText(json) {
+    const parts = json.candidates?.[0]?.content?.parts || [];
+    return parts.map(p => p.text || '').join('');
+}
+
+async function generateDirectGemini(messages, settings, options = {}) {
+    const streaming = options.streaming && typeof options.onToken === 'function';
+    const systemText = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const url = settings.apiUrl.replace(/\/+$/, '');
+
+    // Gemini uses 'user' / 'model' roles and rejects consecutive same-role turns
+    const turns = mergeConsecutiveRoles(messages
+        .filter(m => m.role !== 'system')
+        .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', content: m.content })));
+    if (turns.length === 0 || turns[0].role === 'model') {
+        turns.unshift({ role: 'user', content: '[Conversation start]' });
+    }
+
     const body = {
-        model: settings.model,
-        max_tokens: settings.maxTokens,
-        messages: mergedMsgs,
-        temperature: settings.temperature,
+        contents: turns.map(t => ({ role: t.role, parts: [{ text: t.content }] })),
+        generationConfig: {
+            temperature: settings.temperature,
+            maxOutputTokens: settings.maxTokens,
+        },
     };
-
     if (systemText) {
-        body.system = systemText;
+        body.systemInstruction = { parts: [{ text: systemText }] };
     }
-    if (streaming) body.stream = true;
+    if (options.jsonSchema) {
+        body.generationConfig.responseMimeType = 'application/json';
+    }
+
+    const model = settings.model.replace(/^models\//, '');
+    const endpoint = streaming
+        ? `${url}/models/${model}:streamGenerateContent?alt=sse`
+        : `${url}/models/${model}:generateContent`;
 
-    const response = await fetch(`${url}/messages`, {
+    const response = await apiFetch('gemini', 'Gemini', endpoint, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
-            'x-api-key': settings.apiKey,
-            'anthropic-version': '2023-06-01',
+            'x-goog-api-key': settings.apiKey,
         },
         body: JSON.stringify(body),
         signal: combinedSignal(options.signal),
     });
 
-    if (!response.ok) {
-        const text = await response.text();
-        throw new Error(`Claude request failed (${response.status}): ${text}`);
+    if (streaming) {
+        return readSSEStream(response, (data) => geminiCandidateText(JSON.parse(data)) || null, options.onToken);
     }
 
+    const data = await response.json();
+    const text = geminiCandidateText(data);
+    if (!text) {
+        if (data.promptFeedback?.blockReason || GEMINI_BLOCKED_REASONS.has(data.candidates?.[0]?.finishReason)) {
+            throw contentFilterError('gemini', 'Gemini', data);
+        }
+        throw new ApiError('Gemini response missing candidates[0].content.parts', { status: 200, provider: 'gemini', code: 'bad_response', body: data });
+    }
+    return text;
+}
+
+async function generateDirectOllama(messages, settings, options = {}) {
+    const streaming = options.streaming && typeof options.onToken === 'function';
+    const url = settings.apiUrl.replace(/\/+$/, '');
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.apiKey) headers['Authorization'] = `Bearer ${settings.apiKey}`;
+
+    const response = await apiFetch('ollama', 'Ollama', `${url}/api/chat`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+            model: settings.model,
+            messages: messages,
+            stream: streaming,
+            ...(options.jsonSchema ? { format: options.jsonSchema } : {}),
+            options: {
+                temperature: settings.temperature,
+                num_predict: settings.maxTokens,
+            },
+        }),
+        signal: combinedSignal(options.signal),
+    });
+
     if (streaming) {
-        return readSSEStream(response, (data) => {
-            const json = JSON.parse(data);
-            if (json.type === 'content_block_delta' && json.delta?.type === 'text_delta') {
-                return json.delta.text;
+        return readNDJSONStream(response, (json) => {
+            if (json.error) {
+                throw new ApiError(`Ollama stream failed: ${json.error}`, { status: 200, provider: 'ollama', code: 'bad_response', body: json });
             }
-            return null;
+            return json.message?.content || null;
         }, options.onToken);
     }
 
     const data = await response.json();
-    if (!data.content?.[0]?.text) {
-        throw new Error('Claude response missing content[0].text');
+    if (typeof data.message?.content !== 'string') {
+        throw new ApiError('Ollama response missing message.content', { status: 200, provider: 'ollama', code: 'bad_response', body: data });
     }
-    return data.content[0].text;
+    return data.message.content;
 }
 
 /**
@@ -255,28 +758,48 @@ export async function fetchModels(settings) {
     if (!url) throw new Error('API URL is required');
 
     if (settings.apiType === 'openai') {
-        const response = await fetch(`${url}/models`, {
+        const response = await apiFetch('openai', 'Models', `${url}/models`, {
             headers: { 'Authorization': `Bearer ${settings.apiKey}` },
             signal: AbortSignal.timeout(15000),
         });
-        if (!response.ok) throw new Error(`Failed (${response.status})`);
         const data = await response.json();
         return (data.data || []).map(m => m.id).sort();
     }
 
     if (settings.apiType === 'claude') {
-        const response = await fetch(`${url}/models?limit=1000`, {
+        const response = await apiFetch('claude', 'Models', `${url}/models?limit=1000`, {
             headers: {
                 'x-api-key': settings.apiKey,
                 'anthropic-version': '2023-06-01',
             },
             signal: AbortSignal.timeout(15000),
         });
-        if (!response.ok) throw new Error(`Failed (${response.status})`);
         const data = await response.json();
         return (data.data || []).map(m => m.id).sort();
     }
 
+    if (settings.apiType === 'gemini') {
+        const response = await apiFetch('gemini', 'Models', `${url}/models?pageSize=1000`, {
+            headers: { 'x-goog-api-key': settings.apiKey },
+            signal: AbortSignal.timeout(15000),
+        });
+        const data = await response.json();
+        return (data.models || [])
+            .filter(m => !m.supportedGenerationMethods || m.supportedGenerationMethods.includes('generateContent'))
+            .map(m => m.name.replace(/^models\//, ''))
+            .sort();
+    }
+
+    if (settings.apiType === 'ollama') {
+        const headers = settings.apiKey ? { 'Authorization': `Bearer ${settings.apiKey}` } : {};
+        const response = await apiFetch('ollama', 'Models', `${url}/api/tags`, {
+            headers,
+            signal: AbortSignal.timeout(15000),
+        });
+        const data = await response.json();
+        return (data.models || []).map(m => m.name).sort();
+    }
+
     throw new Error(`Unsupported API type: ${settings.apiType}`);
 }
 
@@ -284,7 +807,7 @@ export async function fetchModels(settings) {
  * Test API connection by sending a minimal request.
  * @param {object} settings - Plugin settings
  * @param {Function} getRequestHeaders - Header getter from ST context
- * @returns {Promise<{success: boolean, message: string}>}
+ * @returns {Promise<{success: boolean, message: string, error?: Error}>}
  */
 export async function testConnection(settings, getRequestHeaders) {
     const testMessages = [
@@ -300,6 +823,6 @@ export async function testConnection(settings, getRequestHeaders) {
         }
         return { success: true, message: `Connection OK. Response: ${result.substring(0, 50)}` };
     } catch (err) {
-        return { success: false, message: `Connection failed: ${err.message}` };
+        return { success: false, message: `Connection failed: ${err.message}`, error: err };
     }
 }
@@ -0,0 +1,80 @@
+/**
+ * Self-critique pass for st-plot-director.
+ * A second LLM call scores each direction against a user-defined rubric; weak
+ * directions are rewritten or regenerated by the round loop.
+ */
+
+/**
+ * Default rubric, one criterion per line.
+ */
+export const DEFAULT_CRITIQUE_RUBRIC = [
+    '- Advances the plot instead of repeating or stalling',
+    '- Stays consistent with the plot outline and established facts',
+    '- Contains no dialogue written for the characters',
+    '- Is concise: a few sentences at most',
+].join('\n');
+
+/**
+ * Build the messages for scoring a direction.
+ * @param {string} direction - Direction to judge
+ * @param {string} rubric - Criteria
+ * @param {object} [context]
+ * @param {string} [context.outline] - Current plot outline
+ * @param {string} [context.lastReply] - Latest AI reply
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function buildCritiqueMessages(direction, rubric, { outline = '', lastReply = '' } = {}) {
+    let user = '';
+    if (outline.trim()) user += `<plot outline>\n${outline.trim()}\n</plot outline>\n\n`;
+    if (lastReply.trim()) user += `<latest reply>\n${lastReply.trim()}\n</latest reply>\n\n`;
+    user += `<direction>\n${direction}\n</direction>\n\nScore this direction.`;
+
+    return [
+        {
+            role: 'system',
+            content: 'You review plot directions written by a story director for a roleplay. '
+                + `Judge the direction against these criteria:\n${rubric.trim() || DEFAULT_CRITIQUE_RUBRIC}\n\n`
+                + 'Answer in exactly this format:\nSCORE: <0-10>\nFEEDBACK: <one or two sentences on what to improve>',
+        },
+        { role: 'user', content: user },
+    ];
+}
+
+/**
+ * Parse the critique answer.
+ * @param {string} text - LLM response
+ * @returns {{score: number, feedback: string}|null} Score 0-10, or null when no score was found
+ */
+export function parseCritique(text) {
+    const str = String(text || '');
+    const match = str.match(/score\s*[:：]?\s*(\d+(?:\.\d+)?)/i) || str.match(/(\d+(?:\.\d+)?)\s*\/\s*10/);
+    if (!match) return null;
+
+    const score = Math.max(0, Math.min(10, parseFloat(match[1])));
+    const feedbackMatch = str.match(/feedback\s*[:：]\s*([\s\S]*)/i);
+    const feedback = (feedbackMatch ? feedbackMatch[1] : str).trim();
+    return { score, feedback };
+}
+
+/**
+ * Build the messages for rewriting a direction with the critique feedback.
+ * @param {string} direction - Direction to rewrite
+ * @param {string} feedback - Critique feedback
+ * @param {string} rubric - Criteria
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function buildRewriteMessages(direction, feedback, rubric) {
+    return [
+        {
+            role: 'system',
+            content: 'You revise plot directions for a roleplay story director. '
+                + `A good direction meets these criteria:\n${rubric.trim() || DEFAULT_CRITIQUE_RUBRIC}\n\n`
+                + 'Rewrite the direction to address the feedback, in the same language. '
+                + 'Keep any bracketed tags and a "Next speaker:" line unchanged. Respond with ONLY the revised direction.',
+        },
+        {
+            role: 'user',
+            content: `<direction>\n${direction}\n</direction>\n\n<feedback>\n${feedback || '(none)'}\n</feedback>`,
+        },
+    ];
+}
@@ -0,0 +1,25 @@
+/**
+ * Director macros for st-plot-director.
+ * Expanded after SillyTavern's own macro substitution, so values taken from
+ * the chat are inserted literally and never run host macros.
+ */
+
+/**
+ * Director-specific macro names, as used in {{name}}.
+ */
+export const DIRECTOR_MACROS = ['round', 'rounds', 'rounds_left', 'last_direction', 'last_ai_message', 'outline'];
+
+/**
+ * Replace {{name}} for every director macro present in `values` (case-insensitive).
+ * Other macros are left untouched, even if `values` happens to have the key.
+ * @param {string} text - Text containing macros
+ * @param {object} values - Macro name → value
+ * @returns {string} Expanded text
+ */
+export function replaceDirectorMacros(text, values) {
+    if (!text || !text.includes('{{')) return text;
+    return text.replace(/\{\{\s*([a-zA-Z_]+)\s*\}\}/g, (match, name) => {
+        const key = name.toLowerCase();
+        return DIRECTOR_MACROS.includes(key) && Object.hasOwn(values, key) ? String(values[key] ?? '') : match;
+    });
+}
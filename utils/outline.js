@@ -0,0 +1,124 @@
+/**
+ * Structured outline helpers for st-plot-director.
+ * An outline is an ordered list of beats; only the current beat and a short
+ * look-ahead are shown to the director, and progress advances beat by beat.
+ */
+
+/**
+ * Create an empty beat.
+ * @param {string} [title] - Beat title
+ * @returns {object} Beat object
+ */
+export function createBeat(title = '') {
+    return {
+        id: `beat_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+        title,
+        goal: '',
+        completion: '',
+        maxRounds: 0,
+    };
+}
+
+/**
+ * Get the beat the story is currently on.
+ * @param {object} settings - Extension settings
+ * @returns {object|null} Current beat, or null if there are none or all are complete
+ */
+export function getCurrentBeat(settings) {
+    const beats = settings.outlineBeats || [];
+    return beats[settings.outlineBeatIndex || 0] || null;
+}
+
+/**
+ * Whether every beat of a non-empty outline has been completed.
+ * @param {object} settings - Extension settings
+ * @returns {boolean}
+ */
+export function isOutlineComplete(settings) {
+    const beats = settings.outlineBeats || [];
+    return beats.length > 0 && (settings.outlineBeatIndex || 0) >= beats.length;
+}
+
+/**
+ * Short progress label, e.g. "Beat 2/5: The Storm".
+ * @param {object} settings - Extension settings
+ * @returns {string} Label, or empty string when there are no beats
+ */
+export function getBeatProgressLabel(settings) {
+    const beats = settings.outlineBeats || [];
+    if (beats.length === 0) return '';
+    if (isOutlineComplete(settings)) return `All ${beats.length} beats complete`;
+    const index = settings.outlineBeatIndex || 0;
+    const beat = beats[index];
+    return `Beat ${index + 1}/${beats.length}${beat.title ? `: ${beat.title}` : ''}`;
+}
+
+/**
+ * Format the current beat plus the next few beats for the director prompt.
+ * @param {object} settings - Extension settings
+ * @returns {string} Outline text (empty when there are no beats)
+ */
+export function formatBeatOutline(settings) {
+    const beats = settings.outlineBeats || [];
+    if (beats.length === 0) return '';
+
+    if (isOutlineComplete(settings)) {
+        return 'All planned story beats are complete. Steer the story toward a satisfying resolution.';
+    }
+
+    const index = settings.outlineBeatIndex || 0;
+    const beat = beats[index];
+    const lines = [`[Current beat ${index + 1}/${beats.length}] ${beat.title || '(untitled)'}`];
+    if (beat.goal?.trim()) lines.push(`Goal: ${beat.goal.trim()}`);
+    if (beat.completion?.trim()) lines.push(`Complete when: ${beat.completion.trim()}`);
+
+    const lookahead = Math.max(0, settings.outlineLookahead ?? 2);
+    const upcoming = beats.slice(index + 1, index + 1 + lookahead);
+    if (upcoming.length > 0) {
+        lines.push('', '[Coming up — do not rush ahead]');
+        upcoming.forEach((b, i) => {
+            const goal = b.goal?.trim() ? ` — ${b.goal.trim()}` : '';
+            lines.push(`${index + i + 2}. ${b.title || '(untitled)'}${goal}`);
+        });
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Build the messages for asking the director LLM whether a beat is complete.
+ * @param {object} beat - Beat to judge
+ * @param {string} chatText - Recent chat as plain text
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function buildBeatCheckMessages(beat, chatText) {
+    const beatText = [
+        `Title: ${beat.title || '(untitled)'}`,
+        `Goal: ${beat.goal || '(none)'}`,
+        `Complete when: ${beat.completion || 'the goal has clearly been achieved in the story'}`,
+    ].join('\n');
+
+    return [
+        {
+            role: 'system',
+            content: 'You track the progress of a story against its outline. '
+                + 'Decide whether the current story beat has been completed by the events in the recent conversation. '
+                + 'Answer with exactly one word: COMPLETE or CONTINUE.',
+        },
+        {
+            role: 'user',
+            content: `<beat>\n${beatText}\n</beat>\n\n<recent story>\n${chatText}\n</recent story>\n\nIs this beat complete?`,
+        },
+    ];
+}
+
+/**
+ * Parse the beat-check answer.
+ * @param {string} text - LLM response
+ * @returns {boolean} True when the beat is judged complete
+ */
+export function parseBeatVerdict(text) {
+    const answer = String(text || '').trim().toUpperCase();
+    if (answer.includes('CONTINUE') || answer.includes('INCOMPLETE')) return false;
+    return /\bCOMPLETE\b/.test(answer);
+}
@@ -0,0 +1,92 @@
+/**
+ * Pacing schedule helpers for st-plot-director.
+ * A schedule is an ordered list of phases, each covering a range of rounds and
+ * switching the preset and sampling parameters while it is active.
+ *
+ * Range bounds are strings:
+ * - "3"   round number
+ * - "50%" share of the planned rounds; a percentage ends one phase and starts
+ *         the next, so "0%–33%" and "33%–66%" don't overlap
+ * - "-2"  counted from the end ("-1" is the last round)
+ * - ""    open (first / last round)
+ */
+
+/**
+ * Create an empty phase.
+ * @param {string} [name] - Phase name
+ * @returns {object} Phase object
+ */
+export function createPhase(name = '') {
+    return {
+        id: `phase_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+        name,
+        from: '',
+        to: '',
+        preset: '',
+        temperature: null,
+        maxTokens: null,
+    };
+}
+
+/**
+ * Resolve a range bound to a round number.
+ * @param {string|number} value - Bound as described above
+ * @param {number} rounds - Planned rounds of the run
+ * @param {'from'|'to'} side - Which end of the range the bound is
+ * @returns {number|null} Round number, or null when the bound is invalid
+ */
+export function resolveRoundBound(value, rounds, side) {
+    const str = String(value ?? '').trim();
+    if (!str) return side === 'from' ? 1 : rounds;
+
+    const percent = str.match(/^(\d+(?:\.\d+)?)\s*%$/);
+    if (percent) {
+        const round = Math.floor(rounds * Math.min(100, parseFloat(percent[1])) / 100);
+        return side === 'from' ? round + 1 : round;
+    }
+
+    if (!/^-?\d+$/.test(str)) return null;
+    const n = parseInt(str);
+    return n < 0 ? rounds + 1 + n : n;
+}
+
+/**
+ * Resolve a phase's range.
+ * @param {object} phase - Phase object
+ * @param {number} rounds - Planned rounds of the run
+ * @returns {{from: number, to: number}|null} Inclusive range, or null when a bound is invalid
+ */
+export function getPhaseRange(phase, rounds) {
+    const from = resolveRoundBound(phase.from, rounds, 'from');
+    const to = resolveRoundBound(phase.to, rounds, 'to');
+    if (from === null || to === null) return null;
+    return { from, to };
+}
+
+/**
+ * Find the phase active in a round; the first matching phase wins.
+ * @param {object[]} phases - Pacing schedule
+ * @param {number} round - Current round (1-based)
+ * @param {number} rounds - Planned rounds of the run
+ * @returns {object|null} Active phase
+ */
+export function findPacingPhase(phases, round, rounds) {
+    for (const phase of phases || []) {
+        const range = getPhaseRange(phase, rounds);
+        if (range && round >= range.from && round <= range.to) return phase;
+    }
+    return null;
+}
+
+/**
+ * Short range label, e.g. "rounds 4–6".
+ * @param {object} phase - Phase object
+ * @param {number} rounds - Planned rounds of the run
+ * @returns {string} Label
+ */
+export function formatPhaseRange(phase, rounds) {
+    const range = getPhaseRange(phase, rounds);
+    if (!range) return 'invalid range';
+    if (range.from > range.to) return 'no rounds';
+    return range.from === range.to ? `round ${range.from}` : `rounds ${range.from}–${range.to}`;
+}
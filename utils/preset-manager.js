@@ -51,6 +51,14 @@ export async function initPresets(settings, extensionUrl) {
 const DEFAULT_PM_BLOCKS = [
     { id: 'system_prompt', type: 'fixed', role: 'system', label: 'System Prompt', enabled: true, content: null, tagName: '' },
     { id: 'plot_outline', type: 'fixed', role: 'system', label: 'Plot Outline', enabled: true, content: null, tagName: 'plot outline' },
+    { id: 'story_summary', type: 'fixed', role: 'system', label: 'Story Summary', enabled: false, content: null, tagName: 'story summary' },
+    { id: 'story_variables', type: 'fixed', role: 'system', label: 'Story Variables', enabled: false, content: null, tagName: 'story variables' },
+    { id: 'char_description', type: 'fixed', role: 'system', label: 'Character Description', enabled: false, content: null, tagName: 'character description' },
+    { id: 'char_personality', type: 'fixed', role: 'system', label: 'Character Personality', enabled: false, content: null, tagName: 'character personality' },
+    { id: 'scenario', type: 'fixed', role: 'system', label: 'Scenario', enabled: false, content: null, tagName: 'scenario' },
+    { id: 'persona', type: 'fixed', role: 'system', label: 'User Persona', enabled: false, content: null, tagName: 'user persona' },
+    { id: 'world_info', type: 'fixed', role: 'system', label: 'World Info', enabled: false, content: null, tagName: 'world info' },
+    { id: 'group_members', type: 'fixed', role: 'system', label: 'Group Members', enabled: true, content: null, tagName: 'group members' },
     { id: 'chat_history', type: 'fixed', role: 'special', label: 'Chat History', enabled: true, content: null, tagName: 'history log' },
     { id: 'instruction', type: 'fixed', role: 'user', label: 'Instruction', enabled: true, content: 'Based on the conversation above, generate the next plot direction.', tagName: '' },
 ];
@@ -64,6 +72,8 @@ const DEFAULT_PM_BLOCKS = [
 export function getDefaultPromptManagerConfig(chatHistoryMode = 'role') {
     return {
         chatHistoryMode,
+        // 'merged' = all blocks in one user message, 'separate' = one message per block with its role
+        messageLayout: 'merged',
         blocks: structuredClone(DEFAULT_PM_BLOCKS),
     };
 }
@@ -80,6 +90,20 @@ export function ensurePromptManagerConfig(preset) {
         return;
     }
 
+    if (!preset.prompt_manager.messageLayout) {
+        preset.prompt_manager.messageLayout = 'merged';
+    }
+
+    // Add fixed blocks introduced after the preset was saved (before chat history)
+    if (preset.prompt_manager.blocks) {
+        const blocks = preset.prompt_manager.blocks;
+        for (const def of DEFAULT_PM_BLOCKS) {
+            if (def.type !== 'fixed' || blocks.some(b => b.id === def.id)) continue;
+            const historyIndex = blocks.findIndex(b => b.id === 'chat_history');
+            blocks.splice(historyIndex === -1 ? blocks.length : historyIndex, 0, structuredClone(def));
+        }
+    }
+
     // Migrate old blocks without tagName field
     if (preset.prompt_manager.blocks) {
         for (const block of preset.prompt_manager.blocks) {
@@ -0,0 +1,70 @@
+/**
+ * Repetition guard helpers for st-plot-director.
+ * Directions are compared by character n-grams, which works the same for
+ * languages with and without spaces between words.
+ */
+
+const NGRAM_SIZE = 3;
+
+/**
+ * Character n-grams of a text, ignoring case, punctuation and whitespace.
+ * @param {string} text - Text to split
+ * @param {number} [n] - N-gram size
+ * @returns {Set<string>} Distinct n-grams
+ */
+export function ngramSet(text, n = NGRAM_SIZE) {
+    const normalized = String(text || '').toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, '');
+    const grams = new Set();
+    if (normalized.length === 0) return grams;
+    if (normalized.length <= n) {
+        grams.add(normalized);
+        return grams;
+    }
+    for (let i = 0; i <= normalized.length - n; i++) {
+        grams.add(normalized.substring(i, i + n));
+    }
+    return grams;
+}
+
+/**
+ * Dice coefficient of the n-gram sets of two texts.
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity between 0 (nothing shared) and 1 (same n-grams)
+ */
+export function ngramSimilarity(a, b) {
+    const gramsA = ngramSet(a);
+    const gramsB = ngramSet(b);
+    if (gramsA.size === 0 || gramsB.size === 0) return 0;
+    let shared = 0;
+    for (const gram of gramsA) {
+        if (gramsB.has(gram)) shared++;
+    }
+    return (2 * shared) / (gramsA.size + gramsB.size);
+}
+
+/**
+ * Find the most similar of a list of texts.
+ * @param {string} text - New text
+ * @param {string[]} others - Texts to compare against
+ * @returns {{score: number, index: number}} Highest similarity and its index (-1 when the list is empty)
+ */
+export function findMostSimilar(text, others) {
+    let best = { score: 0, index: -1 };
+    others.forEach((other, index) => {
+        const score = ngramSimilarity(text, other);
+        if (score > best.score) best = { score, index };
+    });
+    return best;
+}
+
+/**
+ * Instruction appended to the director prompt when a direction repeats a recent one.
+ * @param {string} previous - The recent direction it resembled
+ * @returns {string}
+ */
+export function buildRepetitionHint(previous) {
+    return 'Avoid repetition: a recent direction was nearly the same as what you were about to propose:\n'
+        + `"${previous.trim()}"\n`
+        + 'Take the story somewhere clearly different this time: a new event, complication, location or character focus.';
+}
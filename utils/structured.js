@@ -0,0 +1,144 @@
+/**
+ * Structured (JSON) director output for st-plot-director.
+ * The director answers with a JSON object instead of plain text; each field is
+ * validated here and routed by the round loop.
+ */
+
+/**
+ * JSON schema of a structured director response.
+ */
+export const DIRECTION_SCHEMA = Object.freeze({
+    type: 'object',
+    properties: {
+        direction: { type: 'string', description: 'The plot direction to send' },
+        next_speaker: { type: ['string', 'null'], description: 'Group member who should reply next' },
+        mood: { type: ['string', 'null'], description: 'Intended mood or tone of the next scene' },
+        beat_complete: { type: 'boolean', description: 'Whether the current outline beat has been reached' },
+        stop: { type: 'boolean', description: 'Whether the story has reached its end' },
+        variables: {
+            type: 'object',
+            description: 'Story variables to change; an empty string or null removes one',
+            additionalProperties: { type: ['string', 'number', 'boolean', 'null'] },
+        },
+    },
+    required: ['direction'],
+});
+
+/**
+ * Instruction appended to the director prompt in structured mode.
+ * @returns {string}
+ */
+export function buildStructuredInstruction() {
+    return [
+        'Respond with ONLY a JSON object, no other text, using these fields:',
+        '- "direction" (string, required): the plot direction itself.',
+        '- "next_speaker" (string or null): in group chats, the member who should speak next.',
+        '- "mood" (string or null): the intended mood or tone of the next scene.',
+        '- "beat_complete" (boolean): true if the current outline beat has been reached in the story.',
+        '- "stop" (boolean): true only if the story has reached its ending and no more directions are needed.',
+        '- "variables" (object, optional): story variables to change, e.g. {"tension": "7"}; null removes one.',
+    ].join('\n');
+}
+
+/**
+ * Pull a JSON object out of a response, tolerating code fences and surrounding chatter.
+ * @param {string} text - Raw response
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} When no JSON object can be parsed
+ */
+function extractJson(text) {
+    const str = String(text || '').trim();
+    const fenced = str.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const body = fenced ? fenced[1].trim() : str;
+    try {
+        return JSON.parse(body);
+    } catch (err) {
+        const start = body.indexOf('{');
+        const end = body.lastIndexOf('}');
+        if (start === -1 || end <= start) throw err;
+        return JSON.parse(body.substring(start, end + 1));
+    }
+}
+
+function matchesType(value, type) {
+    const types = Array.isArray(type) ? type : [type];
+    return types.some(t => {
+        if (t === 'null') return value === null;
+        if (t === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+        return typeof value === t;
+    });
+}
+
+/**
+ * Validate a parsed response against DIRECTION_SCHEMA.
+ * @param {*} value - Parsed JSON
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateDirectionOutput(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return ['response must be a JSON object'];
+    }
+    const errors = [];
+    for (const key of DIRECTION_SCHEMA.required) {
+        if (!Object.hasOwn(value, key)) errors.push(`missing required field "${key}"`);
+    }
+    for (const [key, prop] of Object.entries(DIRECTION_SCHEMA.properties)) {
+        if (Object.hasOwn(value, key) && !matchesType(value[key], prop.type)) {
+            errors.push(`field "${key}" must be ${[].concat(prop.type).join(' or ')}`);
+        }
+    }
+    if (typeof value.direction === 'string' && !value.direction.trim() && value.stop !== true) {
+        errors.push('field "direction" must not be empty');
+    }
+    return errors;
+}
+
+/**
+ * Parse and validate a structured response.
+ * @param {string} text - Raw response
+ * @returns {{value: object|null, errors: string[]}} Normalized fields, or null with the errors
+ */
+export function parseStructuredOutput(text) {
+    let parsed;
+    try {
+        parsed = extractJson(text);
+    } catch (err) {
+        return { value: null, errors: [`invalid JSON: ${err.message}`] };
+    }
+
+    const errors = validateDirectionOutput(parsed);
+    if (errors.length > 0) return { value: null, errors };
+
+    return {
+        value: {
+            direction: parsed.direction.trim(),
+            next_speaker: parsed.next_speaker?.trim() || '',
+            mood: parsed.mood?.trim() || '',
+            beat_complete: parsed.beat_complete === true,
+            stop: parsed.stop === true,
+            variables: parsed.variables || {},
+        },
+        errors: [],
+    };
+}
+
+/**
+ * Build the messages for a single repair attempt on a malformed response.
+ * @param {string} raw - The malformed response
+ * @param {string[]} errors - Validation errors
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function buildRepairMessages(raw, errors) {
+    return [
+        {
+            role: 'system',
+            content: 'You fix malformed JSON. Rewrite the given response as a single valid JSON object '
+                + 'that follows the instructions below, keeping its content. Respond with ONLY the JSON object.\n\n'
+                + buildStructuredInstruction(),
+        },
+        {
+            role: 'user',
+            content: `<response>\n${raw}\n</response>\n\n<errors>\n${errors.map(e => `- ${e}`).join('\n')}\n</errors>`,
+        },
+    ];
+}
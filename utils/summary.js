@@ -0,0 +1,53 @@
+/**
+ * Rolling story summary helpers for st-plot-director.
+ * Chat messages that scroll out of the director's context window are folded
+ * into a running summary, kept per chat in the chat metadata.
+ */
+
+/**
+ * Split history lines into chunks of at most `maxChars` characters.
+ * A single line longer than the limit becomes its own chunk.
+ * @param {string[]} lines - Formatted chat messages, oldest first
+ * @param {number} maxChars - Chunk size limit
+ * @returns {string[][]} Chunks of lines
+ */
+export function chunkHistoryLines(lines, maxChars) {
+    const chunks = [];
+    let current = [];
+    let size = 0;
+    for (const line of lines) {
+        if (current.length > 0 && size + line.length > maxChars) {
+            chunks.push(current);
+            current = [];
+            size = 0;
+        }
+        current.push(line);
+        size += line.length;
+    }
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Build the messages for folding new events into the running summary.
+ * @param {string} previousSummary - Current summary (may be empty)
+ * @param {string} chatText - Messages that left the context window, as plain text
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function buildSummaryMessages(previousSummary, chatText) {
+    return [
+        {
+            role: 'system',
+            content: 'You maintain the running summary of a story for a plot director. '
+                + 'Merge the new events into the existing summary. Keep established facts, character states, '
+                + 'relationships, open plot threads and important details; drop small talk. '
+                + 'Write concise prose in the same language as the story, at most about 400 words. '
+                + 'Respond with ONLY the updated summary.',
+        },
+        {
+            role: 'user',
+            content: `<existing summary>\n${previousSummary?.trim() || '(none yet)'}\n</existing summary>\n\n`
+                + `<new events>\n${chatText}\n</new events>\n\nWrite the updated summary.`,
+        },
+    ];
+}
@@ -0,0 +1,39 @@
+/**
+ * Token counting helpers for st-plot-director.
+ * Uses SillyTavern's tokenizer when one is passed in and falls back to a
+ * local estimate otherwise.
+ */
+
+// Hiragana/katakana, CJK ideographs and Hangul: roughly one token per character
+const CJK_REGEX = /[぀-ヿ㐀-䶿一-鿿가-힯豈-﫿]/g;
+
+/**
+ * Rough token estimate: one token per CJK character, four characters per token otherwise.
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+    const str = String(text || '');
+    if (!str) return 0;
+    const cjk = (str.match(CJK_REGEX) || []).length;
+    return cjk + Math.ceil((str.length - cjk) / 4);
+}
+
+/**
+ * Count tokens with the given tokenizer, falling back to the local estimate.
+ * @param {string} text - Text to measure
+ * @param {Function} [tokenizer] - Async tokenizer, e.g. ST's getTokenCountAsync
+ * @returns {Promise<number>} Token count
+ */
+export async function countTokens(text, tokenizer) {
+    if (!text) return 0;
+    if (typeof tokenizer === 'function') {
+        try {
+            const count = await tokenizer(text);
+            if (Number.isFinite(count)) return count;
+        } catch {
+            // Fall back to estimate
+        }
+    }
+    return estimateTokens(text);
+}
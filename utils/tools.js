@@ -0,0 +1,115 @@
+/**
+ * Built-in tools the director LLM can call for st-plot-director.
+ * Definitions are provider-neutral ({name, description, parameters}); api.js
+ * converts them to each provider's format. Tools that need SillyTavern state
+ * are executed in index.js.
+ */
+
+/**
+ * Provider-neutral tool definitions.
+ */
+export const DIRECTOR_TOOLS = Object.freeze([
+    {
+        name: 'roll_dice',
+        description: 'Roll dice in standard notation, e.g. "1d20", "2d6+3" or "4d6-1". Use it to decide uncertain outcomes fairly.',
+        parameters: {
+            type: 'object',
+            properties: {
+                notation: { type: 'string', description: 'Dice notation NdS with optional +/- modifier' },
+            },
+            required: ['notation'],
+        },
+    },
+    {
+        name: 'draw_random',
+        description: 'Draw random entries from a table of options, e.g. random events, weather or encounters.',
+        parameters: {
+            type: 'object',
+            properties: {
+                options: { type: 'array', items: { type: 'string' }, description: 'Table entries to draw from' },
+                count: { type: 'integer', description: 'Number of entries to draw without repeats (default 1)' },
+            },
+            required: ['options'],
+        },
+    },
+    {
+        name: 'get_variable',
+        description: 'Read a story variable (story state kept in the chat, e.g. tension, location or flags).',
+        parameters: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Variable name' },
+            },
+            required: ['name'],
+        },
+    },
+    {
+        name: 'set_variable',
+        description: 'Set a story variable to a new value; an empty value removes it.',
+        parameters: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Variable name' },
+                value: { type: 'string', description: 'New value' },
+            },
+            required: ['name', 'value'],
+        },
+    },
+    {
+        name: 'search_lorebook',
+        description: 'Search the lorebook entries of the current character and chat by keyword.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Keyword or phrase to look for' },
+            },
+            required: ['query'],
+        },
+    },
+]);
+
+// Sanity limits so a confused model can't request absurd rolls
+const MAX_DICE = 100;
+const MAX_SIDES = 1000;
+
+/**
+ * Roll dice in NdS+M notation.
+ * @param {string} notation - e.g. "2d6+3"; N defaults to 1
+ * @returns {string} Result line, e.g. "2d6+3: [4, 2] +3 = 9"
+ * @throws {Error} On invalid notation
+ */
+export function rollDice(notation) {
+    const match = String(notation || '').replace(/\s+/g, '').match(/^(\d*)d(\d+)([+-]\d+)?$/i);
+    if (!match) throw new Error(`Invalid dice notation "${notation}"`);
+
+    const count = match[1] ? parseInt(match[1]) : 1;
+    const sides = parseInt(match[2]);
+    const modifier = match[3] ? parseInt(match[3]) : 0;
+    if (count < 1 || count > MAX_DICE || sides < 2 || sides > MAX_SIDES) {
+        throw new Error(`Dice out of range (1-${MAX_DICE} dice, 2-${MAX_SIDES} sides)`);
+    }
+
+    const rolls = Array.from({ length: count }, () => 1 + Math.floor(Math.random() * sides));
+    const total = rolls.reduce((sum, r) => sum + r, 0) + modifier;
+    const modText = modifier ? ` ${modifier > 0 ? '+' : ''}${modifier}` : '';
+    return `${notation}: [${rolls.join(', ')}]${modText} = ${total}`;
+}
+
+/**
+ * Draw distinct random entries from a table.
+ * @param {string[]} options - Table entries
+ * @param {number} [count] - Number of entries to draw
+ * @returns {string[]} Drawn entries
+ * @throws {Error} When the table is empty
+ */
+export function drawRandom(options, count = 1) {
+    const pool = (Array.isArray(options) ? options : []).map(String).filter(o => o.trim());
+    if (pool.length === 0) throw new Error('The table has no options');
+
+    const n = Math.max(1, Math.min(pool.length, parseInt(count) || 1));
+    const drawn = [];
+    for (let i = 0; i < n; i++) {
+        drawn.push(pool.splice(Math.floor(Math.random() * pool.length), 1)[0]);
+    }
+    return drawn;
+}
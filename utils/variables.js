@@ -0,0 +1,84 @@
+/**
+ * Story variable helpers for st-plot-director.
+ * Story variables are a small per-chat key/value store (tension, location,
+ * time of day...) that the director reads from its prompt and updates with
+ * inline tags such as [set tension: 7] or through structured output.
+ */
+
+// [set key: value] or [set key = value]; an empty value removes the variable
+const SET_TAG_REGEX = /\[set\s+([^\]:=\n]+?)\s*[:=][ \t]*([^\]\n]*)\]/gi;
+
+// Keep the store small enough to stay useful in every prompt
+const MAX_KEY_LENGTH = 60;
+const MAX_VALUE_LENGTH = 500;
+
+function cleanKey(key) {
+    return String(key ?? '').trim().substring(0, MAX_KEY_LENGTH);
+}
+
+function cleanValue(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).trim().substring(0, MAX_VALUE_LENGTH);
+}
+
+/**
+ * Remove [set key: value] tags from a direction.
+ * @param {string} text - Direction text
+ * @returns {{text: string, updates: object}} Text without tags, and key → value ('' = remove)
+ */
+export function extractVariableTags(text) {
+    const updates = {};
+    const stripped = String(text || '').replace(SET_TAG_REGEX, (match, key, value) => {
+        const name = cleanKey(key);
+        if (name) updates[name] = cleanValue(value);
+        return '';
+    });
+    return {
+        // Tags on their own line leave blank lines behind
+        text: stripped.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim(),
+        updates,
+    };
+}
+
+/**
+ * Normalize the `variables` field of a structured response.
+ * @param {object} variables - key → string/number/boolean/null (null removes)
+ * @returns {object} key → string ('' = remove)
+ */
+export function normalizeVariableUpdates(variables) {
+    const updates = {};
+    for (const [key, value] of Object.entries(variables || {})) {
+        const name = cleanKey(key);
+        if (name) updates[name] = cleanValue(value);
+    }
+    return updates;
+}
+
+/**
+ * Apply updates to a variable store.
+ * @param {object} variables - Current key → value
+ * @param {object} updates - key → value ('' = remove)
+ * @returns {object} New store
+ */
+export function applyVariableUpdates(variables, updates) {
+    const next = { ...(variables || {}) };
+    for (const [key, value] of Object.entries(updates || {})) {
+        if (value === '') {
+            delete next[key];
+        } else {
+            next[key] = value;
+        }
+    }
+    return next;
+}
+
+/**
+ * Format the store for the director prompt.
+ * @param {object} variables - key → value
+ * @returns {string} One "key: value" line per variable
+ */
+export function formatStoryVariables(variables) {
+    return Object.entries(variables || {})
+        .map(([key, value]) => `${key}: ${value}`)
+        .join('\n');
+}
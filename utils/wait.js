@@ -0,0 +1,98 @@
+/**
+ * Wait condition helpers for st-plot-director.
+ * Before each round the director waits for every enabled condition, e.g. an
+ * image extension finishing its work. A condition first waits up to its start
+ * timeout for the other side to begin, then up to its finish timeout for it to end.
+ *
+ * Kinds:
+ * - dom:   an element matching `selector` gains a class / attribute, then loses it
+ * - event: a SillyTavern event is emitted (optionally after a start event)
+ * - delay: a fixed or random pause between minSeconds and maxSeconds
+ * - api:   a check registered by another extension reports busy, then idle
+ */
+
+export const WAIT_KINDS = Object.freeze({
+    dom: 'DOM Element',
+    event: 'ST Event',
+    delay: 'Delay',
+    api: 'Extension API',
+});
+
+/**
+ * Create a wait condition with the defaults of its kind.
+ * @param {string} kind - One of WAIT_KINDS
+ * @param {object} [fields] - Field overrides
+ * @returns {object} Wait condition
+ */
+export function createWaitCondition(kind = 'dom', fields = {}) {
+    return {
+        id: `wait_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+        label: '',
+        enabled: true,
+        kind,
+        selector: '',
+        match: 'class',
+        token: '',
+        startEvent: '',
+        event: '',
+        minSeconds: 1,
+        maxSeconds: 1,
+        apiName: '',
+        startTimeout: 15,
+        finishTimeout: 300,
+        ...fields,
+    };
+}
+
+/**
+ * The built-in chatu8 condition: its floating button carries a loading class
+ * while image tags are generated.
+ * @param {object} [fields] - Field overrides (enabled, timeouts)
+ * @returns {object} Wait condition
+ */
+export function createChatu8Condition(fields = {}) {
+    return createWaitCondition('dom', {
+        id: 'chatu8',
+        builtin: true,
+        label: 'chatu8',
+        selector: '#st-chatu8-fab',
+        match: 'class',
+        token: 'st-chatu8-fab-loading',
+        ...fields,
+    });
+}
+
+/**
+ * Pick the pause of a delay condition.
+ * @param {object} condition - Delay condition
+ * @returns {number} Milliseconds
+ */
+export function getDelayMs(condition) {
+    const min = Math.max(0, Number(condition.minSeconds) || 0);
+    const max = Math.max(min, Number(condition.maxSeconds) || 0);
+    return Math.round((min + Math.random() * (max - min)) * 1000);
+}
+
+/**
+ * Short description for the condition list, e.g. "#fab .loading".
+ * @param {object} condition - Wait condition
+ * @returns {string}
+ */
+export function describeWaitCondition(condition) {
+    switch (condition.kind) {
+        case 'dom':
+            return condition.match === 'attribute'
+                ? `${condition.selector} [${condition.token}]`
+                : `${condition.selector} .${condition.token}`;
+        case 'event':
+            return condition.startEvent ? `${condition.startEvent} → ${condition.event}` : condition.event;
+        case 'delay':
+            return Number(condition.maxSeconds) > Number(condition.minSeconds)
+                ? `${condition.minSeconds}–${condition.maxSeconds}s`
+                : `${condition.minSeconds}s`;
+        case 'api':
+            return condition.apiName;
+        default:
+            return '';
+    }
+}